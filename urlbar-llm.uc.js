@@ -2,10 +2,50 @@
  * URL Bar LLM Integration for Zen Browser
  * 
  * Usage:
- * 1. Type "/provider" (e.g., "/mistral", "/openai", "/gemini", "/ollama")
- * 2. Press Tab to activate LLM mode
+ * 1. Type "/provider" (e.g., "/mistral", "/openai", "/gemini", "/anthropic", "/ollama")
+ * 2. Press Tab to activate LLM mode ("/provider:" + Tab lists the provider's models,
+ *    "/provider:model" + Tab activates with that model, "/provider:persona" with a persona
+ *    from the personas pref; "/persona name" switches it mid-conversation)
  * 3. Type your message
  * 4. Press Enter to send and stream response
+ *    ("/model name" + Enter switches model mid-conversation, "/model" alone lists models)
+ *    ("/handoff provider" + Enter continues the same thread with another provider,
+ *    "/usage" shows the conversation's token totals and estimated cost)
+ *    ("{temperature=0 seed=42} question" overrides the provider's sampling params for one message)
+ *    ("!web" forces a web search for one message, "!noweb" skips it, "!site:docs.python.org"
+ *    searches only that site; no classifier call either way)
+ *    ("@page question" sends the current tab's article along; "/mistral @page" + Tab starts with it;
+ *    "@selection" quotes the text selected in the tab, which is also quoted automatically when
+ *    LLM mode opens with a selection; "@tabs" + Enter picks open tabs to send as numbered sources;
+ *    text, code, Markdown, CSV or JSON files dropped on the conversation are attached too)
+ *    (images pasted or dropped into LLM mode, and "/screenshot" of the visible tab, go to
+ *    vision models with the next message)
+ *    ("/tldr", "/translate French"… expand prompt templates from the prompt-templates pref or
+ *    urlbar-llm-prompts.json in the profile; "{selection}", "{page}", "{tabs}", "{url}", "{title}"
+ *    and "{clipboard}" are filled in, other "{placeholders}" take the words after the name;
+ *    typing "/" in LLM mode hints matching templates and Tab completes them)
+ *
+ * "> question" (the quick-prefix pref) or Alt+Shift+Space from anywhere (quick-shortcut) enters
+ * LLM mode directly with the default provider (default-provider pref).
+ *
+ * "/compare mistral openai" + Tab streams every prompt to both providers side by side
+ * (either side may be "provider:model").
+ *
+ * Conversations about a page (@page, quoted selection) are stored for that page's address;
+ * activating on the same page again lists them to resume.
+ *
+ * Instructions of your own go in the system-prompt pref (every provider), <provider>-system-prompt
+ * (one provider) and personas (named, picked at activation); a stored session keeps its persona.
+ *
+ * Web search goes through the backends listed in the search-backends pref (SearXNG, Brave,
+ * Tavily, Kagi, Ollama Web Search, DuckDuckGo), first one with results wins. With search-places,
+ * matching pages from your history and bookmarks are read and cited first. Results on
+ * blocked-domains are dropped and preferred-domains move to the top before any page is read.
+ * Whether a message searches at all is the web-search-mode pref (Auto, Always, Never; each provider
+ * can override it): Auto tries quick local checks before asking the model.
+ *
+ * Any OpenAI-compatible server (LM Studio, llama.cpp, vLLM, OpenRouter…) can be added
+ * as its own "/keyword" through the extension.urlbar-llm.custom-providers pref.
  * 
  * Installation:
  * - Requires fx-autoconfig: https://github.com/MrOtherGuy/fx-autoconfig
@@ -28,14 +68,29 @@
     BLUR_DELAY: 300,                  // ms before blur deactivates LLM mode
     FOCUS_RESTORE_DELAY: 100,         // ms before restoring focus after link click
     DDG_TIMEOUT: 8000,                // DuckDuckGo request timeout (ms)
+    SEARCH_BACKEND_TIMEOUT: 8000,     // SearXNG / Brave / Tavily / Kagi request timeout (ms)
     OLLAMA_WEBSEARCH_TIMEOUT: 10000,  // Ollama web search API timeout (ms)
     OLLAMA_WEBFETCH_TIMEOUT: 8000,    // Ollama web fetch API timeout (ms)
     PAGE_FETCH_TIMEOUT: 3500,         // Individual page content fetch timeout (ms)
     ALL_PAGES_FETCH_TIMEOUT: 4000,    // Total timeout for all page fetches (ms)
     MAX_PAGE_CONTENT_LENGTH: 3000,    // Max chars extracted per page
     MAX_SIMPLE_CONTENT_LENGTH: 2500,  // Max chars for simple fallback extraction
+    PAGE_CONTEXT_MAX_LENGTH: 20000,   // Max chars of the current tab sent with @page
+    PAGE_SNAPSHOT_TIMEOUT: 3000,      // Content-process DOM snapshot of the current tab (ms)
+    PDF_SNAPSHOT_TIMEOUT: 10000,      // Same, for pdf.js tabs (text of every page is read)
+    SELECTION_CONTEXT_MAX_LENGTH: 8000, // Max chars of selected text quoted into a message
+    TABS_CONTEXT_MAX_LENGTH: 30000,   // Max chars across all tabs sent with @tabs (split evenly)
+    QUOTE_OPEN_MAX_LENGTH: 240,       // Shorter quotes render expanded above the user message
+    ATTACHMENT_MAX_FILE_SIZE: 1024 * 1024, // Dropped files larger than this are not read (bytes)
+    ATTACHMENT_BUDGET_SHARE: 0.5,     // Share of the context char budget one message's files may use
+    IMAGE_MAX_DIMENSION: 1568,        // Longest side of pasted images and screenshots sent to the model (px)
+    IMAGE_JPEG_QUALITY: 0.85,         // Images are re-encoded as JPEG before sending
+    MAX_IMAGES_PER_MESSAGE: 4,        // Pasted/dropped images and screenshots queued for one message
     MAX_SEARCH_RESULTS: 5,            // Default search result limit
+    RANKED_SEARCH_CANDIDATES: 10,     // Hits requested when blocked/preferred domains rank them
     MAX_FETCH_RESULTS: 3,             // Pages to fetch content from
+    MAX_PLACES_RESULTS: 3,            // History/bookmark pages added to a search (fetched too)
+    PLACES_SEARCH_CANDIDATES: 200,    // Highest-frecency term matches scored by searchPlaces
     RENDER_DEBOUNCE: 50,              // ms debounce for markdown rendering during stream
     ANIMATION_GLOW_DURATION: 1000,    // ms for pill glow animation
     SCROLL_DELAY: 50,                 // ms delay before scrolling to pills
@@ -55,6 +110,12 @@
     SEARCH_QUERY_CACHE_TTL: 5 * 60 * 1000,
     SEARCH_QUERY_CONTEXT_INPUT_MAX: 800, // Max chars per message in query-gen context
     SEARCH_QUERY_CONTEXT_MESSAGES: 6,    // Recent turns fed to query generator
+    ANTHROPIC_MAX_TOKENS: 4096,          // Messages API requires max_tokens on every request
+    HELPER_MAX_TOKENS: 512,              // Non-streaming helper steps (classifier, query planner, summary)
+    HELPER_TEMPERATURE: 0.2,
+    /** Model discovery (GET /models, Ollama /api/tags) */
+    MODEL_LIST_TIMEOUT: 5000,
+    MODEL_LIST_CACHE_TTL: 10 * 60 * 1000,
   };
 
   const CONTEXT_SUMMARY_HEADER =
@@ -64,38 +125,49 @@
   const OLLAMA_WEB_SEARCH_URL = "https://ollama.com/api/web_search";
   const OLLAMA_WEB_FETCH_URL = "https://ollama.com/api/web_fetch";
 
-  // Configuration
+  // Configuration (`api` selects the wire format in PROVIDER_ADAPTERS)
   const CONFIG = {
     providers: {
       mistral: {
         name: "Mistral",
+        api: "mistral",
         apiKey: "", // Set via about:config or prompt
         baseUrl: "https://api.mistral.ai/v1/chat/completions",
         model: "mistral-large-2512"
       },
       openai: {
         name: "OpenAI",
+        api: "openai",
         apiKey: "",
         baseUrl: "https://api.openai.com/v1/chat/completions",
         model: "gpt-5.3-chat-latest"
       },
       ollama: {
         name: "Ollama",
+        api: "ollama",
         apiKey: null, // Not needed for local LLM
         baseUrl: "http://localhost:11434/api/chat",
         model: "mistral"
       },
       gemini: {
         name: "Gemini",
+        api: "gemini",
         apiKey: "",
         baseUrl: "https://generativelanguage.googleapis.com/v1beta/openai/",
         model: "gemini-3.1-pro-preview"
+      },
+      anthropic: {
+        name: "Claude",
+        api: "anthropic",
+        apiKey: "",
+        baseUrl: "https://api.anthropic.com/v1/messages",
+        model: "claude-sonnet-4-5"
       }
     },
     ollamaWebSearch: {
       apiKey: "" // Ollama API key for web search (https://ollama.com/settings/keys)
     },
-    defaultProvider: "ollama"
+    defaultProvider: "ollama" // Quick activation ("> question", shortcut); see loadConfig
   };
 
   // State
@@ -103,9 +175,17 @@
   let currentProvider = null;
   let currentQuery = "";
   let streamingResultRow = null;
-  /** @type {{ controller: AbortController, buffer: string, generation: number } | null} */
-  let llmStream = null;
+  /**
+   * Streams in flight, keyed by generation. Normally at most one; compare mode runs one per column.
+   * @type {Map<number, { controller: AbortController, signal: AbortSignal, buffer: string, reasoning: string, usage: object|null, generation: number, persistPartial: (buffer: string) => void }>}
+   */
+  const llmStreams = new Map();
   let llmStreamGeneration = 0;
+  /**
+   * Side-by-side compare session (`/compare a b`): each column keeps its own history branch.
+   * @type {{ columns: Array<{ providerKey: string, provider: object, history: Array<object> }> } | null}
+   */
+  let compareSession = null;
   let originalPlaceholder = "";
   let isClickingLink = false; // Track if we're currently clicking a link
   let isSelectingInContainer = false; // Track if user is selecting text in the container
@@ -159,6 +239,8 @@
   let conversationHistory = []; // Store conversation messages for follow-ups
   /** In-memory sessions per provider, survives deactivate so re-activating restores context */
   const liveConversationsByProvider = {};
+  /** Persona each live conversation was held with, reapplied with it */
+  const livePersonasByProvider = {};
   let conversationContainer = null; // Container for all messages
   let currentSearchSources = []; // Track sources used for current response
 
@@ -172,6 +254,10 @@
 
   /** Synthetic history-picker rows under `.urlbarView-results` (see {@link getUrlbarResultsElement}) */
   const ATTR_LLM_HISTORY_ROW = "data-llm-history-row";
+  /** Synthetic rows of the in-LLM pickers (models, …); see {@link showUrlbarPicker} */
+  const ATTR_LLM_PICKER_ROW = "data-llm-picker-row";
+  /** Any synthetic row the blur/close handlers must treat as part of the LLM surface */
+  const LLM_ROW_SELECTOR = `.urlbarView-row[${ATTR_LLM_HISTORY_ROW}], .urlbarView-row[${ATTR_LLM_PICKER_ROW}]`;
 
   // Runtime navigation state for history browsing (Alt+ArrowUp opens / dismisses list)
   let historyIndex = -1; // -1 = live conversation, >= 0 = index in stored sessions
@@ -271,13 +357,654 @@
     });
   }
 
+  // ============================================
+  // Provider adapters (one per wire format)
+  // ============================================
+
+  /** Anthropic Messages API version header */
+  const ANTHROPIC_API_VERSION = "2023-06-01";
+
+  /** Extended-thinking `budget_tokens` per reasoning_effort level ("none" and unset: no thinking) */
+  const ANTHROPIC_THINKING_BUDGETS = { minimal: 1024, low: 2048, medium: 8192, high: 16384 };
+
+  /** Thinking text some models (DeepSeek R1, QwQ, …) inline in the answer */
+  const THINK_OPEN_TAG = "<think>";
+  const THINK_CLOSE_TAG = "</think>";
+
+  /**
+   * Split `<think>…</think>` spans out of streamed answer text. Tags can straddle chunks, so a
+   * trailing partial tag is held back until the next push; `flush()` releases it at stream end.
+   */
+  function createThinkTagSplitter() {
+    let inThink = false;
+    let pending = "";
+    const emit = (out, piece) => {
+      if (inThink) {
+        out.reasoning += piece;
+      } else {
+        out.text += piece;
+      }
+    };
+    return {
+      push(chunk) {
+        const out = { text: "", reasoning: "" };
+        let input = pending + chunk;
+        pending = "";
+        while (input) {
+          const tag = inThink ? THINK_CLOSE_TAG : THINK_OPEN_TAG;
+          const idx = input.indexOf(tag);
+          if (idx !== -1) {
+            emit(out, input.slice(0, idx));
+            input = input.slice(idx + tag.length);
+            inThink = !inThink;
+            continue;
+          }
+          let keep = Math.min(tag.length - 1, input.length);
+          while (keep > 0 && !tag.startsWith(input.slice(-keep))) {
+            keep--;
+          }
+          emit(out, input.slice(0, input.length - keep));
+          pending = input.slice(input.length - keep);
+          break;
+        }
+        return out;
+      },
+      flush() {
+        const out = { text: "", reasoning: "" };
+        emit(out, pending);
+        pending = "";
+        return out;
+      }
+    };
+  }
+
+  /** Non-streaming replies: drop inline thinking (an unclosed block runs to the end). */
+  function stripThinkTags(text) {
+    return (text || "").replace(/<think>[\s\S]*?(?:<\/think>|$)/g, "");
+  }
+
+  /** `<base>/chat/completions` for OpenAI-compatible endpoints (accepts a base URL or the full path). */
+  function resolveChatCompletionsUrl(baseUrl) {
+    const base = (baseUrl || "").replace(/\/+$/, "");
+    return base.endsWith("/chat/completions") ? base : base + "/chat/completions";
+  }
+
+  /**
+   * Parse one SSE `data:` line. Returns the JSON payload, the string "[DONE]", or null for
+   * `event:` lines, comments and malformed payloads.
+   */
+  function parseSseDataLine(line) {
+    if (!line.startsWith("data:")) {
+      return null;
+    }
+    const data = line.slice(5).trim();
+    if (data === "[DONE]") {
+      return data;
+    }
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** Base64 payload and media type of a `data:` URL (images are always sent inline). */
+  function parseDataUrl(url) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/.exec(url || "");
+    return match ? { mediaType: match[1], data: match[2] } : null;
+  }
+
+  /** Ollama wants a message's images as bare base64 strings in `images` beside text `content`. */
+  function toOllamaMessage(m) {
+    if (!Array.isArray(m.content)) {
+      return m;
+    }
+    return {
+      role: m.role,
+      content: m.content.filter((part) => part.type === "text").map((part) => part.text).join("\n\n"),
+      images: m.content
+        .filter((part) => part.type === "image_url")
+        .map((part) => parseDataUrl(part.image_url.url)?.data)
+        .filter(Boolean)
+    };
+  }
+
+  /** Content blocks of the Messages API for a neutral content value (string or parts). */
+  function toAnthropicContentBlocks(content) {
+    if (!Array.isArray(content)) {
+      return [{ type: "text", text: content }];
+    }
+    return content
+      .map((part) => {
+        if (part.type === "text") {
+          return { type: "text", text: part.text };
+        }
+        const image = parseDataUrl(part.image_url?.url);
+        return image && { type: "image", source: { type: "base64", media_type: image.mediaType, data: image.data } };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Messages API takes the system prompt as a top-level field and only user/assistant turns
+   * (first one from the user). Fold every system message (language instruction, context summary,
+   * web sources) into `system` and merge consecutive same-role turns.
+   */
+  function toAnthropicMessages(messages) {
+    const systemParts = [];
+    const turns = [];
+    for (const m of messages || []) {
+      if (!m || !m.content) {
+        continue;
+      }
+      if (m.role === "system") {
+        systemParts.push(m.content);
+        continue;
+      }
+      const role = m.role === "assistant" ? "assistant" : "user";
+      const prev = turns[turns.length - 1];
+      if (prev && prev.role === role) {
+        if (typeof prev.content === "string" && typeof m.content === "string") {
+          prev.content += "\n\n" + m.content;
+        } else {
+          prev.content = [...toAnthropicContentBlocks(prev.content), ...toAnthropicContentBlocks(m.content)];
+        }
+        continue;
+      }
+      turns.push({ role, content: Array.isArray(m.content) ? toAnthropicContentBlocks(m.content) : m.content });
+    }
+    if (turns.length && turns[0].role !== "user") {
+      turns.unshift({ role: "user", content: "(continuing an earlier conversation)" });
+    }
+    return { system: systemParts.join("\n\n"), messages: turns };
+  }
+
+  /**
+   * Copy the neutral sampling options (see parseGenerationParams) onto `target` under the names a
+   * dialect uses; options left undefined and names mapped to null are not sent.
+   */
+  function assignSamplingFields(target, options, names) {
+    for (const [option, field] of Object.entries(names)) {
+      if (field && options[option] !== undefined) {
+        target[field] = options[option];
+      }
+    }
+    return target;
+  }
+
+  const OPENAI_SAMPLING_FIELDS = {
+    maxTokens: "max_tokens",
+    temperature: "temperature",
+    topP: "top_p",
+    stop: "stop",
+    seed: "seed",
+    reasoningEffort: "reasoning_effort"
+  };
+
+  const OPENAI_COMPATIBLE_ADAPTER = {
+    samplingFields: OPENAI_SAMPLING_FIELDS,
+    /** Ask for a final usage chunk on streams (`stream_options.include_usage`) */
+    streamUsageOption: true,
+    buildRequest(provider, messages, { stream = false, ...options } = {}) {
+      const body = assignSamplingFields({ model: provider.model, messages, stream }, options, this.samplingFields);
+      if (stream && this.streamUsageOption) {
+        body.stream_options = { include_usage: true };
+      }
+      const headers = { "Content-Type": "application/json" };
+      if (provider.apiKey) {
+        headers["Authorization"] = `Bearer ${provider.apiKey}`;
+      }
+      return { url: resolveChatCompletionsUrl(provider.baseUrl), headers, body };
+    },
+    buildModelsRequest(provider) {
+      const headers = {};
+      if (provider.apiKey) {
+        headers["Authorization"] = `Bearer ${provider.apiKey}`;
+      }
+      const base = resolveChatCompletionsUrl(provider.baseUrl).replace(/\/chat\/completions$/, "");
+      return { url: base + "/models", headers };
+    },
+    parseModels(json) {
+      return (json.data || []).map((m) => m && m.id).filter(Boolean);
+    },
+    parseStreamLine(line) {
+      const json = parseSseDataLine(line);
+      if (json === "[DONE]") {
+        return { text: null, done: true };
+      }
+      if (!json) {
+        return null;
+      }
+      const delta = json.choices?.[0]?.delta;
+      return {
+        text: delta?.content || null,
+        // DeepSeek-style `reasoning_content`; OpenRouter and others use `reasoning`
+        reasoning: delta?.reasoning_content || delta?.reasoning || null,
+        // Final chunk (empty `choices`) when include_usage is on
+        usage: json.usage ? toUsage(json.usage.prompt_tokens, json.usage.completion_tokens) : null,
+        done: false
+      };
+    },
+    parseCompletion(json) {
+      return json.choices?.[0]?.message?.content || "";
+    }
+  };
+
+  /**
+   * Wire-format adapters keyed by `provider.api`:
+   * - `buildRequest(provider, messages, { stream, maxTokens, temperature, topP, stop, seed, reasoningEffort })`
+   *   → `{ url, headers, body }`
+   * - `parseStreamLine(line)` → `{ text, reasoning?, usage?, done }`, or null when the line carries nothing
+   *   (`reasoning` is thinking text streamed apart from the answer; `usage` comes from toUsage
+   *   and may be partial, later lines fill in the rest)
+   * - `parseCompletion(json)` → reply text of a non-streaming call
+   * - `buildModelsRequest(provider)` → `{ url, headers }` and `parseModels(json)` → model ids
+   * `messages` are always the neutral `{ role, content }` list from buildApiMessagesFromHistory;
+   * `content` is a string, or for user turns with images the OpenAI-style list of `text` and
+   * `image_url` (data URL) parts, which OpenAI, Mistral and Gemini take as is.
+   */
+  const PROVIDER_ADAPTERS = {
+    openai: OPENAI_COMPATIBLE_ADAPTER,
+
+    // Same wire format; Mistral names the sampling seed `random_seed`, has no reasoning_effort
+    // and rejects stream_options (usage comes with the last chunk anyway)
+    mistral: {
+      ...OPENAI_COMPATIBLE_ADAPTER,
+      samplingFields: { ...OPENAI_SAMPLING_FIELDS, seed: "random_seed", reasoningEffort: null },
+      streamUsageOption: false
+    },
+
+    gemini: {
+      ...OPENAI_COMPATIBLE_ADAPTER,
+      buildRequest(provider, messages, options) {
+        const request = OPENAI_COMPATIBLE_ADAPTER.buildRequest.call(this, provider, messages, options);
+        if (provider.apiKey) {
+          request.url += (request.url.includes("?") ? "&" : "?") + "key=" + encodeURIComponent(provider.apiKey);
+        }
+        return request;
+      },
+      buildModelsRequest(provider) {
+        const request = OPENAI_COMPATIBLE_ADAPTER.buildModelsRequest(provider);
+        if (provider.apiKey) {
+          request.url += "?key=" + encodeURIComponent(provider.apiKey);
+        }
+        return request;
+      },
+      // Gemini lists ids as "models/gemini-…"; chat completions want the bare name
+      parseModels(json) {
+        return OPENAI_COMPATIBLE_ADAPTER.parseModels(json).map((id) => id.replace(/^models\//, ""));
+      }
+    },
+
+    ollama: {
+      buildRequest(provider, messages, { stream = false, ...sampling } = {}) {
+        const body = { model: provider.model, messages: messages.map(toOllamaMessage), stream };
+        const options = assignSamplingFields({}, sampling, {
+          maxTokens: "num_predict",
+          temperature: "temperature",
+          topP: "top_p",
+          stop: "stop",
+          seed: "seed"
+        });
+        if (Object.keys(options).length) {
+          body.options = options;
+        }
+        // Top-level `think`: false turns thinking off, levels are passed through (gpt-oss);
+        // Ollama only knows low/medium/high, so "minimal" asks for the lowest of those
+        if (sampling.reasoningEffort) {
+          body.think =
+            sampling.reasoningEffort === "none" ? false
+              : sampling.reasoningEffort === "minimal" ? "low"
+                : sampling.reasoningEffort;
+        }
+        return {
+          url: provider.baseUrl,
+          headers: { "Content-Type": "application/json" },
+          body
+        };
+      },
+      // Native /api/chat streams one JSON object per line
+      parseStreamLine(line) {
+        try {
+          const json = JSON.parse(line);
+          return {
+            text: json.message?.content || null,
+            reasoning: json.message?.thinking || null,
+            // The final line carries the token counts (prompt_eval_count is absent on a cache hit)
+            usage: json.done ? toUsage(json.prompt_eval_count ?? 0, json.eval_count) : null,
+            done: !!json.done
+          };
+        } catch (e) {
+          return null;
+        }
+      },
+      parseCompletion(json) {
+        return json.message?.content || "";
+      },
+      buildModelsRequest(provider) {
+        const root = (provider.baseUrl || "").replace(/\/+$/, "").replace(/\/api\/chat$/, "");
+        return { url: root + "/api/tags", headers: {} };
+      },
+      parseModels(json) {
+        return (json.models || []).map((m) => m && (m.name || m.model)).filter(Boolean);
+      }
+    },
+
+    anthropic: {
+      // No seed in the Messages API; it is dropped. reasoningEffort enables extended thinking.
+      buildRequest(provider, messages, { stream = false, maxTokens, reasoningEffort, ...sampling } = {}) {
+        const { system, messages: turns } = toAnthropicMessages(messages);
+        const thinkingBudget = ANTHROPIC_THINKING_BUDGETS[reasoningEffort];
+        const body = {
+          model: provider.model,
+          messages: turns,
+          // The thinking budget counts against max_tokens, so the answer keeps its own allowance
+          max_tokens: (maxTokens ?? LIMITS.ANTHROPIC_MAX_TOKENS) + (thinkingBudget || 0),
+          stream
+        };
+        if (system) {
+          body.system = system;
+        }
+        if (thinkingBudget) {
+          // Extended thinking rejects custom temperature / top_p
+          body.thinking = { type: "enabled", budget_tokens: thinkingBudget };
+          assignSamplingFields(body, sampling, { stop: "stop_sequences" });
+        } else {
+          assignSamplingFields(body, sampling, {
+            temperature: "temperature",
+            topP: "top_p",
+            stop: "stop_sequences"
+          });
+        }
+        const base = (provider.baseUrl || "").replace(/\/+$/, "");
+        return {
+          url: base.endsWith("/messages") ? base : base + "/messages",
+          headers: {
+            "Content-Type": "application/json",
+            "x-api-key": provider.apiKey,
+            "anthropic-version": ANTHROPIC_API_VERSION,
+            "anthropic-dangerous-direct-browser-access": "true"
+          },
+          body
+        };
+      },
+      // `event: …` lines are redundant with the `type` field of the following `data:` payload
+      parseStreamLine(line) {
+        const json = parseSseDataLine(line);
+        if (!json || json === "[DONE]") {
+          return null;
+        }
+        if (json.type === "content_block_delta" && json.delta?.type === "text_delta") {
+          return { text: json.delta.text || null, done: false };
+        }
+        if (json.type === "content_block_delta" && json.delta?.type === "thinking_delta") {
+          return { text: null, reasoning: json.delta.thinking || null, done: false };
+        }
+        // Input tokens arrive with message_start, the output count with message_delta
+        if (json.type === "message_start" && json.message?.usage) {
+          const u = json.message.usage;
+          const input = (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0);
+          return { text: null, usage: toUsage(input, undefined), done: false };
+        }
+        if (json.type === "message_delta" && json.usage) {
+          return { text: null, usage: toUsage(undefined, json.usage.output_tokens), done: false };
+        }
+        if (json.type === "message_stop") {
+          return { text: null, done: true };
+        }
+        if (json.type === "error") {
+          throw new Error(`Stream error: ${json.error?.type || "unknown"}${json.error?.message ? " — " + json.error.message : ""}`);
+        }
+        return null;
+      },
+      parseCompletion(json) {
+        return (json.content || [])
+          .filter((block) => block && block.type === "text")
+          .map((block) => block.text || "")
+          .join("");
+      },
+      buildModelsRequest(provider) {
+        const base = (provider.baseUrl || "").replace(/\/+$/, "").replace(/\/messages$/, "");
+        return {
+          url: base + "/models",
+          headers: {
+            "x-api-key": provider.apiKey,
+            "anthropic-version": ANTHROPIC_API_VERSION,
+            "anthropic-dangerous-direct-browser-access": "true"
+          }
+        };
+      },
+      parseModels(json) {
+        return (json.data || []).map((m) => m && m.id).filter(Boolean);
+      }
+    }
+  };
+
+  function getProviderAdapter(provider) {
+    return PROVIDER_ADAPTERS[provider?.api] || OPENAI_COMPATIBLE_ADAPTER;
+  }
+
+  // ============================================
+  // Generation parameters
+  // ============================================
+
+  /** reasoning_effort levels; "none" asks thinking-capable models not to think */
+  const REASONING_EFFORTS = ["none", "minimal", "low", "medium", "high"];
+
+  /**
+   * `key=value` tokens accepted by the `<provider>-params` prefs and the per-message override,
+   * mapped to the neutral option names the adapters translate. `stop` takes comma-separated
+   * sequences (`\n` for a newline); `reasoning_effort` is one of REASONING_EFFORTS.
+   */
+  const GENERATION_PARAM_SPECS = {
+    temperature: { option: "temperature", parse: (v) => parseFloat(v) },
+    max_tokens: { option: "maxTokens", parse: (v) => parseInt(v, 10) },
+    top_p: { option: "topP", parse: (v) => parseFloat(v) },
+    seed: { option: "seed", parse: (v) => parseInt(v, 10) },
+    reasoning_effort: {
+      option: "reasoningEffort",
+      parse: (v) => (REASONING_EFFORTS.includes(v.toLowerCase()) ? v.toLowerCase() : null)
+    },
+    stop: {
+      option: "stop",
+      parse: (v) => v.split(",").map((s) => s.replace(/\\n/g, "\n")).filter(Boolean)
+    }
+  };
+
+  /** Leading `{temperature=0 seed=42}` on a message overrides the provider params for that turn */
+  const GENERATION_OVERRIDE_PATTERN = /^\s*\{([^{}]*)\}\s*/;
+
+  /**
+   * Parse "temperature=0 max_tokens=800 seed=42 stop=END" into `{ params, invalid }`, where
+   * `invalid` lists tokens with an unknown key or an unusable value.
+   */
+  function parseGenerationParams(text) {
+    const params = {};
+    const invalid = [];
+    for (const token of String(text || "").trim().split(/\s+/).filter(Boolean)) {
+      const eq = token.indexOf("=");
+      const spec = eq > 0 ? GENERATION_PARAM_SPECS[token.slice(0, eq).toLowerCase().replace(/-/g, "_")] : null;
+      const value = spec ? spec.parse(token.slice(eq + 1)) : null;
+      const usable = Array.isArray(value) ? value.length > 0 : typeof value === "string" ? !!value : Number.isFinite(value);
+      if (!usable) {
+        invalid.push(token);
+        continue;
+      }
+      params[spec.option] = value;
+    }
+    return { params, invalid };
+  }
+
+  /** Back to "key=value" form for display (assistant meta line). */
+  function formatGenerationParams(params) {
+    return Object.entries(GENERATION_PARAM_SPECS)
+      .filter(([, spec]) => params?.[spec.option] !== undefined)
+      .map(([key, spec]) => {
+        const value = params[spec.option];
+        return `${key}=${Array.isArray(value) ? value.join(",").replace(/\n/g, "\\n") : value}`;
+      })
+      .join(" ");
+  }
+
+  /**
+   * Split a leading `{…}` override off a message. The braces only count as an override when
+   * every token inside parses; otherwise the text is left untouched.
+   * @returns {{ text: string, params: object|null }}
+   */
+  function extractGenerationOverride(text) {
+    const match = (text || "").match(GENERATION_OVERRIDE_PATTERN);
+    if (!match) {
+      return { text, params: null };
+    }
+    const { params, invalid } = parseGenerationParams(match[1]);
+    if (invalid.length || !Object.keys(params).length) {
+      return { text, params: null };
+    }
+    return { text: text.slice(match[0].length), params };
+  }
+
+  /** Provider params with an optional per-message override on top. */
+  function resolveGenerationParams(provider, override = null) {
+    return { ...(provider?.params || {}), ...(override || {}) };
+  }
+
+  function loadProviderParams(key) {
+    const prefKey = `extension.urlbar-llm.${key}-params`;
+    const { params, invalid } = parseGenerationParams(getPref(prefKey, ""));
+    if (invalid.length) {
+      logWarn("Ignoring invalid generation params in", prefKey + ":", invalid.join(" "));
+    }
+    return params;
+  }
+
+  // ============================================
+  // Token usage and cost
+  // ============================================
+
+  /** Model prices for cost estimates, USD per million tokens */
+  const PRICE_TABLE_PREF = "extension.urlbar-llm.price-table";
+
+  /** `{ inputTokens, outputTokens }` with only the counts the provider reported, or null. */
+  function toUsage(inputTokens, outputTokens) {
+    const usage = {};
+    if (Number.isFinite(inputTokens)) {
+      usage.inputTokens = inputTokens;
+    }
+    if (Number.isFinite(outputTokens)) {
+      usage.outputTokens = outputTokens;
+    }
+    return Object.keys(usage).length ? usage : null;
+  }
+
+  let priceTableCache = { raw: null, table: {} };
+
+  /**
+   * Price table from the pref: `{ "<model>": { "input": 3, "output": 15 } }` or `[input, output]`.
+   * A key ending in "*" matches every model id starting with the rest.
+   */
+  function getPriceTable() {
+    const raw = String(getPref(PRICE_TABLE_PREF, "") || "").trim();
+    if (raw === priceTableCache.raw) {
+      return priceTableCache.table;
+    }
+    let table = {};
+    if (raw) {
+      try {
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+          table = parsed;
+        } else {
+          logWarn("Ignoring price table:", PRICE_TABLE_PREF, "must be a JSON object");
+        }
+      } catch (e) {
+        logWarn("Ignoring price table: invalid JSON in", PRICE_TABLE_PREF, "-", e.message);
+      }
+    }
+    priceTableCache = { raw, table };
+    return table;
+  }
+
+  /** `{ input, output }` USD per million tokens for `model` (exact id first, then longest prefix*). */
+  function lookupModelPrice(model) {
+    if (!model) {
+      return null;
+    }
+    const table = getPriceTable();
+    let entry = table[model];
+    if (entry === undefined) {
+      const prefix = Object.keys(table)
+        .filter((key) => key.endsWith("*") && model.startsWith(key.slice(0, -1)))
+        .sort((a, b) => b.length - a.length)[0];
+      entry = prefix ? table[prefix] : undefined;
+    }
+    const [input, output] = Array.isArray(entry) ? entry : [entry?.input, entry?.output];
+    if (!Number.isFinite(input) || !Number.isFinite(output)) {
+      return null;
+    }
+    return { input, output };
+  }
+
+  /** Estimated USD for one answer, or null when the model has no price or usage is missing. */
+  function estimateCost(model, usage) {
+    const price = lookupModelPrice(model);
+    if (!price || !usage) {
+      return null;
+    }
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+  }
+
+  function formatCost(usd) {
+    return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+  }
+
+  /** "1,234 in · 567 out · ~$0.0123" (parts the provider did not report are left out). */
+  function formatUsage(usage, cost = null) {
+    const parts = [];
+    if (usage?.inputTokens !== undefined) {
+      parts.push(`${usage.inputTokens.toLocaleString()} in`);
+    }
+    if (usage?.outputTokens !== undefined) {
+      parts.push(`${usage.outputTokens.toLocaleString()} out`);
+    }
+    if (parts.length && cost !== null) {
+      parts.push(`~${formatCost(cost)}`);
+    }
+    return parts.join(" · ");
+  }
+
+  /**
+   * Totals over the assistant answers in `history` (what the session store keeps). Helper steps
+   * (search classifier, query planner, summaries) are not counted. `cost` is null when no
+   * answer had a known price.
+   */
+  function sumConversationUsage(history) {
+    const total = { inputTokens: 0, outputTokens: 0, cost: null };
+    let counted = false;
+    for (const entry of history || []) {
+      if (entry?.role !== "assistant" || !entry.usage) {
+        continue;
+      }
+      counted = true;
+      total.inputTokens += entry.usage.inputTokens || 0;
+      total.outputTokens += entry.usage.outputTokens || 0;
+      const cost = estimateCost(entry.model, entry.usage);
+      if (cost !== null) {
+        total.cost = (total.cost || 0) + cost;
+      }
+    }
+    return counted ? total : null;
+  }
+
   // ============================================
   // Global conversation history (IndexedDB)
   // ============================================
   const HISTORY_DB_NAME = "urlbar-llm-history";
-  const HISTORY_DB_VERSION = 1;
+  const HISTORY_DB_VERSION = 2; // 2: providerPage index for page-scoped sessions
   const HISTORY_STORE_NAME = "sessions";
 
+  /** Offer to resume a conversation about the current page when LLM mode opens on it */
+  const PAGE_SESSIONS_PREF = "extension.urlbar-llm.resume-page-sessions";
+
   function openHistoryDB() {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
@@ -285,17 +1012,58 @@
       req.onsuccess = () => resolve(req.result);
       req.onupgradeneeded = (e) => {
         const db = e.target.result;
+        let store;
         if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
-          const store = db.createObjectStore(HISTORY_STORE_NAME, { keyPath: "id" });
+          store = db.createObjectStore(HISTORY_STORE_NAME, { keyPath: "id" });
           store.createIndex("providerKey", "providerKey", { unique: false });
           store.createIndex("providerUpdated", ["providerKey", "updatedAt"], { unique: false });
+        } else {
+          store = e.target.transaction.objectStore(HISTORY_STORE_NAME);
+        }
+        // Sessions without a page scope have no pageKey and stay out of this index
+        if (!store.indexNames.contains("providerPage")) {
+          store.createIndex("providerPage", ["providerKey", "pageKey"], { unique: false });
         }
       };
     });
   }
 
-  /** Get all sessions for a provider, newest first */
-  function getProviderSessions(providerKey) {
+  /**
+   * Page scope of a URL: origin and path, without query, hash or trailing slash, so
+   * re-visits of the same document match. Null for pages that are not web or file documents.
+   */
+  function getPageScopeKey(url) {
+    try {
+      const parsed = new URL(url);
+      if (!/^(https?|file):$/.test(parsed.protocol)) {
+        return null;
+      }
+      const path = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, "") : parsed.pathname;
+      return `${parsed.protocol}//${parsed.host}${path}`;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Page a conversation is about: the first page attached with @page or quoted from with
+   * @selection. Conversations that never attach one are not page-scoped.
+   */
+  function getConversationPageKey(history) {
+    for (const entry of history) {
+      const item = entry?.role === "user" && entry.context?.find((c) => c.kind === "page" || c.kind === "selection");
+      if (item) {
+        return getPageScopeKey(item.url);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all sessions for a provider, newest first; with `pageKey`, only the sessions scoped to
+   * that page.
+   */
+  function getProviderSessions(providerKey, { pageKey = null } = {}) {
     return new Promise((resolve, reject) => {
       if (!providerKey) {
         resolve([]);
@@ -304,8 +1072,9 @@
       openHistoryDB().then((db) => {
         const tx = db.transaction(HISTORY_STORE_NAME, "readonly");
         const store = tx.objectStore(HISTORY_STORE_NAME);
-        const index = store.index("providerKey");
-        const req = index.getAll(IDBKeyRange.only(providerKey));
+        const req = pageKey
+          ? store.index("providerPage").getAll(IDBKeyRange.only([providerKey, pageKey]))
+          : store.index("providerKey").getAll(IDBKeyRange.only(providerKey));
         req.onsuccess = () => {
           const sessions = (req.result || [])
             .filter((s) => s && s.providerKey === providerKey)
@@ -339,8 +1108,16 @@
             createdAt: existing?.createdAt || session.createdAt || session.updatedAt || Date.now(),
             updatedAt: session.updatedAt || Date.now(),
             title: session.title,
+            model: session.model,
+            usage: session.usage || null,
             messages: session.messages
           };
+          if (session.pageKey) {
+            toSave.pageKey = session.pageKey;
+          }
+          if (session.persona) {
+            toSave.persona = session.persona;
+          }
           store.put(toSave);
           tx.oncomplete = () => {
             db.close();
@@ -463,18 +1240,43 @@
     return content;
   }
 
-  function cloneHistoryEntry(message) {
-    if (!message) {
-      return message;
+  /** Per-answer details kept on assistant entries (in memory and in stored sessions). */
+  const ASSISTANT_META_FIELDS = ["model", "fallbackProvider", "params", "reasoning", "usage"];
+  /** Per-message details kept on user entries: attached context (@page, …), search operators (!web, …). */
+  const USER_META_FIELDS = ["context", "search"];
+
+  /**
+   * Stored shape of one citation source; `tab` marks sources that were open tabs (@tabs),
+   * `place` ("history" / "bookmark") pages found in the user's own history.
+   */
+  function copyCitationSource(s) {
+    const out = { title: s.title, url: s.url || s.href || s.link, source: s.source, index: s.index };
+    if (s.tab) {
+      out.tab = true;
+    }
+    if (s.place) {
+      out.place = s.place;
+    }
+    return out;
+  }
+
+  function copyEntryMeta(source, target) {
+    const fields = source.role === "assistant" ? ASSISTANT_META_FIELDS : source.role === "user" ? USER_META_FIELDS : [];
+    for (const field of fields) {
+      if (source[field]) {
+        target[field] = source[field];
+      }
+    }
+  }
+
+  function cloneHistoryEntry(message) {
+    if (!message) {
+      return message;
     }
     const out = { role: message.role, content: message.content };
+    copyEntryMeta(message, out);
     if (message.role === "assistant" && message.sources && message.sources.length > 0) {
-      out.sources = message.sources.map((s) => ({
-        title: s.title,
-        url: s.url,
-        source: s.source,
-        index: s.index
-      }));
+      out.sources = message.sources.map(copyCitationSource);
     }
     return out;
   }
@@ -523,13 +1325,14 @@
 
   /**
    * Persist partial assistant text when a stream is cancelled mid-response.
+   * `history` defaults to the live conversation; compare columns pass their own branch.
    */
-  function commitPartialAssistantToHistory(buffer) {
+  function commitPartialAssistantToHistory(buffer, history = conversationHistory, model = currentProvider?.model) {
     const text = (buffer || "").trim();
     if (!text) {
       return;
     }
-    const last = conversationHistory[conversationHistory.length - 1];
+    const last = history[history.length - 1];
     if (last?.role === "assistant") {
       if ((last.content || "").trim() === text) {
         return;
@@ -539,46 +1342,54 @@
       return;
     }
     if (last?.role === "user") {
-      conversationHistory.push({ role: "assistant", content: buffer });
+      const entry = { role: "assistant", content: buffer };
+      if (model) {
+        entry.model = model;
+      }
+      history.push(entry);
       log("Committed partial assistant response to conversation history");
     }
   }
 
   /**
-   * Stop the active stream. When persistPartial is true, save buffered tokens first
+   * Stop every active stream. When persistPartial is true, save buffered tokens first
    * (superseded turn, deactivate, or explicit cancel).
    */
   function interruptLlmStream({ persistPartial = false } = {}) {
-    if (!llmStream) {
-      return;
-    }
-    const { controller, buffer } = llmStream;
-    if (persistPartial) {
-      commitPartialAssistantToHistory(buffer);
+    for (const stream of llmStreams.values()) {
+      if (persistPartial) {
+        stream.persistPartial(stream.buffer);
+      }
+      try {
+        stream.controller.abort();
+      } catch (e) {}
     }
-    try {
-      controller.abort();
-    } catch (e) {}
-    llmStream = null;
+    llmStreams.clear();
   }
 
   /**
-   * Start a new LLM stream. Any in-flight stream is interrupted and its partial text is saved.
-   * @returns {{ signal: AbortSignal, generation: number }}
+   * Start a new LLM stream. Unless `alongside` is set, in-flight streams are interrupted and
+   * their partial text is saved. `persistPartial` decides where a cancelled stream's text goes.
    */
-  function beginLlmStream() {
-    interruptLlmStream({ persistPartial: true });
+  function beginLlmStream({ alongside = false, persistPartial = (buffer) => commitPartialAssistantToHistory(buffer) } = {}) {
+    if (!alongside) {
+      interruptLlmStream({ persistPartial: true });
+    }
     const generation = ++llmStreamGeneration;
     const controller = new AbortController();
-    llmStream = { controller, buffer: "", generation };
-    return { signal: controller.signal, generation };
+    const stream = { controller, signal: controller.signal, buffer: "", reasoning: "", usage: null, generation, persistPartial };
+    llmStreams.set(generation, stream);
+    return stream;
   }
 
   /** Release the stream handle for a completed or abandoned turn. */
   function endLlmStream(generation) {
-    if (llmStream?.generation === generation) {
-      llmStream = null;
-    }
+    llmStreams.delete(generation);
+  }
+
+  /** False once the stream was interrupted (superseded, deactivated) or ended. */
+  function isLlmStreamLive(generation) {
+    return llmStreams.has(generation);
   }
 
   function stashLiveConversation(providerKey) {
@@ -586,6 +1397,7 @@
       return;
     }
     liveConversationsByProvider[providerKey] = snapshotConversationHistory();
+    livePersonasByProvider[providerKey] = currentProvider?.persona || null;
     log("Stashed live conversation for provider:", providerKey, "messages:", conversationHistory.length);
   }
 
@@ -595,6 +1407,10 @@
       return false;
     }
     conversationHistory = stored.map(cloneHistoryEntry);
+    if (livePersonasByProvider[providerKey] && personas.has(livePersonasByProvider[providerKey])) {
+      currentProvider.persona = livePersonasByProvider[providerKey];
+      showProviderPill(document.getElementById("urlbar"), providerKey);
+    }
     renderConversationFromHistory();
     log("Restored live conversation for provider:", providerKey, "messages:", conversationHistory.length);
     return true;
@@ -617,12 +1433,12 @@
         continue;
       }
       if (msg.role === "user") {
-        renderUserMessageFromHistory(msg.content);
+        renderUserMessageFromHistory(msg.content, msg);
       } else if (msg.role === "assistant") {
         const stored =
           msg.sources && Array.isArray(msg.sources) && msg.sources.length > 0 ? msg.sources : null;
         const pillsSources = stored || lastAssistantSources;
-        renderAssistantMessageFromHistory(msg.content, pillsSources);
+        renderAssistantMessageFromHistory(msg.content, pillsSources, msg);
         if (stored) {
           lastAssistantSources = stored;
         }
@@ -634,19 +1450,41 @@
     }
   }
 
-  function buildApiMessagesFromHistory(apiHistory, searchContext) {
-    const toApiMessage = (m) => ({ role: m.role, content: m.content });
-    const languageSystemMessage = { role: "system", content: LANGUAGE_SYSTEM_INSTRUCTION };
+  function getImageContext(message) {
+    return message?.role === "user" ? (message.context || []).filter((item) => item.kind === "image") : [];
+  }
+
+  /** `provider` supplies the system prompt and persona (compare columns pass their own). */
+  function buildApiMessagesFromHistory(apiHistory, searchContext, provider = currentProvider) {
+    // User turns with attached context (@page, …) are preceded by a system block carrying it.
+    // Images are only sent with the turn they were attached to (the latest one): that turn's
+    // content becomes a list of parts (text first, then image_url parts); older turns keep a note
+    const latestIndex = apiHistory.length - 1;
+    const toApiMessages = (m, index) => {
+      const images = getImageContext(m);
+      let content = m.content;
+      if (images.length && index === latestIndex) {
+        content = [
+          { type: "text", text: m.content },
+          ...images.map((item) => ({ type: "image_url", image_url: { url: item.dataUrl } }))
+        ];
+      } else if (images.length) {
+        content = `${m.content}\n\n(${images.length} image${images.length === 1 ? " was" : "s were"} attached to this message)`;
+      }
+      const message = { role: m.role, content };
+      const contextBlock = m.role === "user" && m.context?.length ? formatContextForLLM(m.context) : null;
+      return contextBlock ? [{ role: "system", content: contextBlock }, message] : [message];
+    };
+    const languageSystemMessage = { role: "system", content: composeSystemPrompt(provider) };
     if (searchContext) {
-      const lastUserMessageIndex = apiHistory.length - 1;
       return [
         languageSystemMessage,
-        ...apiHistory.slice(0, lastUserMessageIndex).map(toApiMessage),
+        ...apiHistory.slice(0, latestIndex).flatMap(toApiMessages),
         { role: "system", content: searchContext },
-        toApiMessage(apiHistory[lastUserMessageIndex])
+        ...toApiMessages(apiHistory[latestIndex], latestIndex)
       ];
     }
-    return [languageSystemMessage, ...apiHistory.map(toApiMessage)];
+    return [languageSystemMessage, ...apiHistory.flatMap(toApiMessages)];
   }
 
   function resetConversationContextSummary() {
@@ -673,7 +1511,9 @@
     if (!messages || !messages.length) {
       return 0;
     }
-    return messages.reduce((sum, m) => sum + (typeof m.content === "string" ? m.content.length : 0), 0);
+    // Images count as 0: only the latest turn's images are sent, and never summarized
+    const contextChars = (m) => (m.context || []).reduce((n, item) => n + (item.content || "").length, 0);
+    return messages.reduce((sum, m) => sum + (typeof m.content === "string" ? m.content.length : 0) + contextChars(m), 0);
   }
 
   function clipTextForSummary(text, maxLen) {
@@ -695,53 +1535,30 @@
 
   /**
    * Non-streaming chat completion (classification, summarization, etc.).
+   * Keeps its own token budget and temperature per step; the provider's top_p and seed still
+   * apply so helper steps are reproducible too. Stop sequences are answer-only.
    * @param {Array<{role: string, content: string}>} messages
    * @param {AbortSignal|null} signal
    * @param {{ maxTokens?: number, temperature?: number }} [options]
    * @returns {Promise<string>}
    */
   async function completeChatNonStreaming(messages, signal = null, options = {}) {
-    const maxTokens = options.maxTokens ?? 512;
-    const temperature = options.temperature ?? 0.2;
-
-    if (currentProvider.name === "Ollama") {
-      const response = await fetchWithRetry(currentProvider.baseUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: currentProvider.model,
-          messages,
-          stream: false,
-          options: { temperature, num_predict: maxTokens }
-        })
-      }, signal);
-      const json = await response.json();
-      return (json.message?.content || "").trim();
-    }
-
-    const base = currentProvider.baseUrl.replace(/\/+$/, "");
-    let url = base.endsWith("/chat/completions") ? base : base + "/chat/completions";
-    const isGemini = currentProvider.name === "Gemini";
-    if (isGemini && currentProvider.apiKey) {
-      url += (url.includes("?") ? "&" : "?") + "key=" + encodeURIComponent(currentProvider.apiKey);
-    }
-    const headers = {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${currentProvider.apiKey}`
-    };
-    const response = await fetchWithRetry(url, {
+    const adapter = getProviderAdapter(currentProvider);
+    const { topP, seed, temperature } = currentProvider.params || {};
+    const request = adapter.buildRequest(currentProvider, messages, {
+      stream: false,
+      maxTokens: options.maxTokens ?? LIMITS.HELPER_MAX_TOKENS,
+      temperature: options.temperature ?? temperature ?? LIMITS.HELPER_TEMPERATURE,
+      topP,
+      seed
+    });
+    const response = await fetchWithRetry(request.url, {
       method: "POST",
-      headers,
-      body: JSON.stringify({
-        model: currentProvider.model,
-        messages,
-        stream: false,
-        max_tokens: maxTokens,
-        temperature
-      })
+      headers: request.headers,
+      body: JSON.stringify(request.body)
     }, signal);
     const json = await response.json();
-    return (json.choices?.[0]?.message?.content || "").trim();
+    return stripThinkTags(adapter.parseCompletion(json)).trim();
   }
 
   /**
@@ -910,13 +1727,9 @@
       .slice(-HISTORY_MAX_MESSAGES_PER_SESSION)
       .map((m) => {
         const out = { role: m.role, content: truncateContent(m.content) }; // truncateContent only caps at 500k as safety
+        copyEntryMeta(m, out);
         if (m.role === "assistant" && m.sources && m.sources.length > 0) {
-          out.sources = m.sources.map((s) => ({
-            title: s.title,
-            url: s.url,
-            source: s.source,
-            index: s.index
-          }));
+          out.sources = m.sources.map(copyCitationSource);
         }
         return out;
       });
@@ -933,6 +1746,10 @@
       createdAt: currentSessionId ? undefined : now,
       updatedAt: now,
       title,
+      model: currentProvider?.model,
+      usage: sumConversationUsage(conversationHistory),
+      pageKey: getConversationPageKey(conversationHistory),
+      persona: currentProvider?.persona || null,
       messages: msgs
     };
   }
@@ -948,7 +1765,7 @@
     currentSessionId = session.id;
   }
 
-  function renderUserMessageFromHistory(message) {
+  function renderUserMessageFromHistory(message, entry = null) {
     if (!conversationContainer || !conversationContainer.parentNode) {
       conversationContainer = createConversationContainer();
       if (!conversationContainer) {
@@ -958,10 +1775,77 @@
     const messageDiv = document.createElement("div");
     messageDiv.className = "llm-message llm-message-user";
     messageDiv.textContent = message;
+    renderUserMessageContext(messageDiv, entry?.context);
+    renderSearchDirectiveChip(messageDiv, entry?.search);
     conversationContainer.appendChild(messageDiv);
   }
 
-  function renderAssistantMessageFromHistory(message, sources) {
+  /**
+   * Show the context attached to a user message: quoted selections as collapsible blocks above
+   * the text, images as thumbnails below it, everything else (page title, numbered tabs,
+   * attached files, …) as chips.
+   */
+  function renderUserMessageContext(messageDiv, context) {
+    if (!messageDiv || !context?.length) {
+      return;
+    }
+    messageDiv
+      .querySelectorAll(":scope > .llm-quote, :scope > .llm-context-images, :scope > .llm-context-chips")
+      .forEach((el) => el.remove());
+
+    const quotes = context.filter((item) => item.kind === "selection");
+    for (const item of quotes.reverse()) {
+      const details = document.createElement("details");
+      details.className = "llm-quote";
+      details.open = item.content.length <= LIMITS.QUOTE_OPEN_MAX_LENGTH;
+      const summary = document.createElement("summary");
+      summary.textContent = `Quoted from ${item.title || item.url}`;
+      summary.title = item.url || "";
+      const body = document.createElement("blockquote");
+      body.textContent = item.content;
+      details.appendChild(summary);
+      details.appendChild(body);
+      messageDiv.insertBefore(details, messageDiv.firstChild);
+    }
+
+    const images = context.filter((item) => item.kind === "image");
+    if (images.length) {
+      const strip = document.createElement("div");
+      strip.className = "llm-context-images";
+      for (const item of images) {
+        const img = document.createElement("img");
+        img.className = "llm-context-image";
+        img.src = item.dataUrl;
+        img.alt = item.title || "";
+        img.title = item.title || "";
+        strip.appendChild(img);
+      }
+      messageDiv.insertBefore(strip, messageDiv.querySelector(":scope > .llm-search-directive"));
+    }
+
+    const others = context.filter((item) => item.kind !== "selection" && item.kind !== "image");
+    if (!others.length) {
+      return;
+    }
+    const chips = document.createElement("div");
+    chips.className = "llm-context-chips";
+    for (const item of others) {
+      const chip = document.createElement("span");
+      chip.className = "llm-context-chip";
+      chip.setAttribute("kind", item.kind);
+      chip.textContent = item.title || item.url || item.kind;
+      if (item.kind === "tab") {
+        chip.textContent = `[${item.index}] ${chip.textContent}`;
+      } else if (item.kind === "file" && item.truncated) {
+        chip.textContent += " (truncated)";
+      }
+      chip.title = item.url || "";
+      chips.appendChild(chip);
+    }
+    messageDiv.insertBefore(chips, messageDiv.querySelector(":scope > .llm-search-directive"));
+  }
+
+  function renderAssistantMessageFromHistory(message, sources, entry = null) {
     if (!conversationContainer || !conversationContainer.parentNode) {
       conversationContainer = createConversationContainer();
       if (!conversationContainer) {
@@ -978,6 +1862,8 @@
     renderMarkdownToElement(message, contentDiv);
 
     messageDiv.appendChild(contentDiv);
+    renderThinkingBlock(contentDiv, entry?.reasoning);
+    renderAssistantMeta(messageDiv, entry);
     conversationContainer.appendChild(messageDiv);
     if (sources && sources.length > 0) {
       messageDiv.dataset.citationSources = JSON.stringify(sources);
@@ -985,6 +1871,81 @@
     }
   }
 
+  /**
+   * Collapsible "Thinking" section above an answer's `.llm-message-content`, filled with the
+   * model's reasoning. `active` while reasoning streams and no answer text has arrived yet.
+   */
+  function renderThinkingBlock(contentDiv, reasoning, active = false) {
+    const messageDiv = contentDiv?.parentNode;
+    if (!messageDiv || !reasoning) {
+      return;
+    }
+    let details = messageDiv.querySelector(":scope > .llm-thinking");
+    if (!details) {
+      details = document.createElement("details");
+      details.className = "llm-thinking";
+      const summary = document.createElement("summary");
+      const body = document.createElement("div");
+      body.className = "llm-thinking-content";
+      details.appendChild(summary);
+      details.appendChild(body);
+      messageDiv.insertBefore(details, contentDiv);
+    }
+    details.toggleAttribute("active", active);
+    details.querySelector("summary").textContent = active ? "Thinking…" : "Thoughts";
+    details.querySelector(".llm-thinking-content").textContent = reasoning.trim();
+  }
+
+  /**
+   * Discreet footer under an assistant message (model that wrote it, per-message params, tokens and cost, …). Sits next to
+   * `.llm-message-content` so markdown re-renders do not wipe it.
+   */
+  function renderAssistantMeta(messageDiv, entry) {
+    if (!messageDiv || !entry) {
+      return;
+    }
+    messageDiv.querySelector(".llm-message-meta")?.remove();
+    const parts = [];
+    if (entry.fallbackProvider) {
+      parts.push(`via ${CONFIG.providers[entry.fallbackProvider]?.name || entry.fallbackProvider}`);
+    }
+    if (entry.model) {
+      parts.push(entry.model);
+    }
+    if (entry.params) {
+      parts.push(formatGenerationParams(entry.params));
+    }
+    if (entry.usage) {
+      parts.push(formatUsage(entry.usage, estimateCost(entry.model, entry.usage)));
+    }
+    if (!parts.length) {
+      return;
+    }
+    const meta = document.createElement("div");
+    meta.className = "llm-message-meta";
+    meta.textContent = parts.join(" · ");
+    messageDiv.appendChild(meta);
+  }
+
+  /** One-line UI notice in the conversation (not part of conversationHistory), appended or placed before `beforeNode`. */
+  function displayConversationNote(text, beforeNode = null) {
+    if (!conversationContainer || !conversationContainer.parentNode) {
+      conversationContainer = createConversationContainer();
+    }
+    if (!conversationContainer) {
+      return;
+    }
+    const note = document.createElement("div");
+    note.className = "llm-message-note";
+    note.textContent = text;
+    if (beforeNode && beforeNode.parentNode === conversationContainer) {
+      conversationContainer.insertBefore(note, beforeNode);
+    } else {
+      conversationContainer.appendChild(note);
+    }
+    note.scrollIntoView({ block: "nearest" });
+  }
+
   function loadSessionIntoCurrentConversation(session, urlbar, urlbarInput) {
     if (!session || !Array.isArray(session.messages)) {
       return;
@@ -1016,13 +1977,9 @@
     // Replace in-memory history (keep sources for assistant messages; normalize structure for compatibility)
     conversationHistory = session.messages.map((m) => {
       const out = { role: m.role, content: m.content };
+      copyEntryMeta(m, out);
       if (m.role === "assistant" && m.sources && m.sources.length > 0) {
-        out.sources = m.sources.map((s) => ({
-          title: s.title,
-          url: s.url || s.href || s.link,
-          source: s.source,
-          index: s.index
-        })).filter((s) => s.url);
+        out.sources = m.sources.map(copyCitationSource).filter((s) => s.url);
       }
       return out;
     });
@@ -1035,12 +1992,12 @@
         continue;
       }
       if (msg.role === "user") {
-        renderUserMessageFromHistory(msg.content);
+        renderUserMessageFromHistory(msg.content, msg);
       } else if (msg.role === "assistant") {
         const stored =
           msg.sources && Array.isArray(msg.sources) && msg.sources.length > 0 ? msg.sources : null;
         const pillsSources = stored || lastAssistantSources;
-        renderAssistantMessageFromHistory(msg.content, pillsSources);
+        renderAssistantMessageFromHistory(msg.content, pillsSources, msg);
         if (stored) {
           lastAssistantSources = stored;
         }
@@ -1050,6 +2007,10 @@
     // Ensure LLM mode visuals are active
     urlbar.setAttribute("llm-mode-active", "true");
     urlbar.setAttribute("llm-provider", session.providerKey);
+    // Continue with the persona the session was held with (if it still exists)
+    if (!setActivePersona(session.persona || null, urlbar)) {
+      displayConversationNote(`Persona "${session.persona}" is no longer defined`);
+    }
     urlbarInput.setAttribute("placeholder", "Ask a follow-up...");
     urlbarInput.focus();
   }
@@ -1132,6 +2093,14 @@
         urlText = "";
       }
     }
+    if (session.usage) {
+      const usageText = formatUsage(session.usage, session.usage.cost);
+      urlText = urlText ? `${urlText} · ${usageText}` : usageText;
+    }
+    if (session.pageKey) {
+      const pageText = session.pageKey.replace(/^\w+:\/\//, "");
+      urlText = urlText ? `${urlText} · ${pageText}` : pageText;
+    }
     if (urlText) {
       row.setAttribute("has-url", "");
     }
@@ -1272,8 +2241,17 @@
     return row;
   }
 
-  async function showHistoryListForProvider(providerKey, urlbar, urlbarInput) {
-    const sessions = await getProviderSessions(providerKey);
+  /**
+   * List stored sessions for a provider as native rows. `sessions` may be passed in already
+   * loaded (e.g. only the ones scoped to the current page), with a matching `placeholder`.
+   */
+  async function showHistoryListForProvider(
+    providerKey,
+    urlbar,
+    urlbarInput,
+    { sessions: preloaded = null, placeholder = "Select a conversation or ask a new question..." } = {}
+  ) {
+    const sessions = preloaded || (await getProviderSessions(providerKey));
     if (!sessions.length) {
       log("No stored LLM history sessions to show for provider:", providerKey);
       return;
@@ -1285,6 +2263,7 @@
       return;
     }
 
+    dismissUrlbarPicker();
     removeLlmHistoryRowsFromResults();
 
     if (conversationContainer && conversationContainer.parentNode) {
@@ -1305,134 +2284,537 @@
 
     urlbar.setAttribute("llm-mode-active", "true");
     urlbar.setAttribute("llm-provider", providerKey);
-    urlbarInput.setAttribute("placeholder", "Select a conversation or ask a new question...");
+    urlbarInput.setAttribute("placeholder", placeholder);
     urlbarInput.focus();
   }
 
-  // ============================================
-  // Load Mozilla Readability for content extraction
-  // ============================================
-  let ReadabilityClass = null;
-  
-  // Try to load Readability.js from the same directory as this script
-  try {
-    // Derive the directory from this script's own path
-    const currentScriptPath = Components.stack.filename;
-    const scriptDir = currentScriptPath.substring(0, currentScriptPath.lastIndexOf('/') + 1);
-    const readabilityPath = scriptDir + "Readability.js";
-    const scope = {};
-    Services.scriptloader.loadSubScript(readabilityPath, scope);
-    ReadabilityClass = scope.Readability;
-    log("Loaded Mozilla Readability from", readabilityPath);
-  } catch (e) {
-    logWarn("Could not load Readability.js:", e.message);
-    // Readability will be null, fallback extraction will be used
-  }
-
-  // ============================================
-  // Load marked (markdown parser), DOMPurify (sanitizer), highlight.js (syntax highlighting)
-  // ============================================
-  let markedLib = null;
-  let DOMPurifyLib = null;
-  let hljsLib = null;
-  try {
-    const currentScriptPath = Components.stack.filename;
-    const scriptDir = currentScriptPath.substring(0, currentScriptPath.lastIndexOf('/') + 1);
-    const vendorsDir = scriptDir + "vendors/";
-    Services.scriptloader.loadSubScript(vendorsDir + "marked.min.js");
-    Services.scriptloader.loadSubScript(vendorsDir + "purify.min.js");
-    markedLib = (typeof marked !== "undefined") ? marked : null;
-    DOMPurifyLib = (typeof DOMPurify !== "undefined") ? DOMPurify : null;
-    if (markedLib && DOMPurifyLib) {
-      log("Loaded marked and DOMPurify from", vendorsDir);
-    } else {
-      markedLib = null;
-      DOMPurifyLib = null;
-      logWarn("marked or DOMPurify failed to load, using fallback markdown parser");
+  /**
+   * LLM mode opened with no conversation on a page that has page-scoped sessions: list them so
+   * one can be resumed (typing a question instead starts a new one, as with Alt+ArrowUp).
+   */
+  async function offerPageSessions(providerKey, urlbar, urlbarInput) {
+    if (!getPref(PAGE_SESSIONS_PREF, true)) {
+      return;
     }
-    try {
-      Services.scriptloader.loadSubScript(vendorsDir + "highlight.min.js");
-      hljsLib = (typeof hljs !== "undefined") ? hljs : null;
-      if (hljsLib) {
-        log("Loaded highlight.js from", vendorsDir);
-      } else {
-        logWarn("highlight.js failed to expose hljs; code blocks will render without highlighting");
-      }
-    } catch (hlErr) {
-      logWarn("Could not load highlight.js:", hlErr.message, "- code blocks will render without highlighting");
+    const pageKey = getPageScopeKey(getCurrentTab()?.linkedBrowser?.currentURI?.spec || "");
+    if (!pageKey) {
+      return;
     }
-  } catch (e) {
-    logWarn("Could not load marked/DOMPurify:", e.message, "- using fallback markdown parser");
-  }
-  
-  function getPref(name, defaultValue) {
+    let sessions = [];
     try {
-      if (!Services || !Services.prefs) {
-        return defaultValue;
-      }
-      const type = Services.prefs.getPrefType(name);
-      if (type === Services.prefs.PREF_STRING) {
-        return Services.prefs.getStringPref(name, defaultValue);
-      } else if (type === Services.prefs.PREF_BOOL) {
-        return Services.prefs.getBoolPref(name, defaultValue);
-      } else if (type === Services.prefs.PREF_INT) {
-        return Services.prefs.getIntPref(name, defaultValue);
-      }
+      sessions = await getProviderSessions(providerKey, { pageKey });
     } catch (e) {
-      // Pref doesn't exist, return default
+      logWarn("Could not look up sessions for page:", e);
+      return;
     }
-    return defaultValue;
+    // The user may have sent a message, switched provider or left while the lookup ran
+    if (
+      !sessions.length ||
+      !isLLMMode ||
+      compareSession ||
+      conversationHistory.length ||
+      activePicker ||
+      isShowingHistoryList() ||
+      urlbar.getAttribute("llm-provider") !== providerKey
+    ) {
+      return;
+    }
+    log("Offering", sessions.length, "sessions scoped to page:", pageKey);
+    showHistoryListForProvider(providerKey, urlbar, urlbarInput, {
+      sessions,
+      placeholder: "Resume a conversation about this page or ask a new question..."
+    });
   }
 
-  function setPref(name, value) {
-    try {
-      if (!Services || !Services.prefs) {
-        return;
-      }
-      if (typeof value === "string") {
-        Services.prefs.setStringPref(name, value);
-      } else if (typeof value === "boolean") {
-        Services.prefs.setBoolPref(name, value);
-      } else if (typeof value === "number") {
-        Services.prefs.setIntPref(name, value);
-      }
-    } catch (e) {
-      logError("Failed to set preference:", e);
+  // ============================================
+  // In-LLM pickers (native-style rows; type to filter, arrows + Enter or click to pick;
+  // multi-select pickers check rows with Tab or click and confirm with Enter)
+  // ============================================
+
+  /** @type {{ items: Array<{ value: string, title: string, subtitle?: string, iconSrc?: string }>, onPick: Function, onCancel: Function|null, selectedIndex: number, multiple: boolean, checked: Set<number> } | null} */
+  let activePicker = null;
+
+  function removeLlmPickerRowsFromResults() {
+    const results = getUrlbarResultsElement();
+    if (!results) {
+      return;
     }
+    results
+      .querySelectorAll(`.urlbarView-row[${ATTR_LLM_PICKER_ROW}]`)
+      .forEach((el) => el.remove());
   }
 
-  // Debug logging (enable via about:config: extension.urlbar-llm.debug = true)
-  function log(...args) {
-    if (getPref("extension.urlbar-llm.debug", false)) {
-      console.log("[URLBar LLM]", ...args);
+  function getVisiblePickerRows() {
+    const results = getUrlbarResultsElement();
+    if (!results) {
+      return [];
     }
+    return [...results.querySelectorAll(`.urlbarView-row[${ATTR_LLM_PICKER_ROW}]`)].filter((row) => !row.hidden);
   }
 
-  function logWarn(...args) {
-    console.warn("[URLBar LLM]", ...args);
-  }
+  function createPickerUrlbarRow(item, index) {
+    const row = document.createElement("div");
+    row.className = "urlbarView-row";
+    row.setAttribute("role", "presentation");
+    row.setAttribute("row-selectable", "");
+    row.setAttribute(ATTR_LLM_PICKER_ROW, "true");
+    row.setAttribute("data-picker-index", String(index));
 
-  function logError(...args) {
-    console.error("[URLBar LLM]", ...args);
-  }
+    const rowInner = document.createElement("span");
+    rowInner.className = "urlbarView-row-inner";
+    rowInner.setAttribute("role", "option");
+    rowInner.setAttribute("selectable", "");
 
-  // Check if LLM is enabled
-  function isEnabled() {
-    return getPref("extension.urlbar-llm.enabled", true);
+    const noWrap = document.createElement("span");
+    noWrap.className = "urlbarView-no-wrap";
+
+    const faviconImg = document.createElement("img");
+    faviconImg.className = "urlbarView-favicon";
+    faviconImg.src = item.iconSrc || "chrome://global/skin/icons/settings.svg";
+    faviconImg.alt = "";
+    faviconImg.setAttribute("aria-hidden", "true");
+
+    const titleEl = document.createElement("span");
+    titleEl.className = "urlbarView-title urlbarView-overflowable";
+    titleEl.setAttribute("dir", "auto");
+    titleEl.setAttribute("title", item.title);
+    titleEl.textContent = item.title;
+
+    noWrap.appendChild(faviconImg);
+    noWrap.appendChild(titleEl);
+    rowInner.appendChild(noWrap);
+
+    if (item.subtitle) {
+      row.setAttribute("has-url", "");
+      const urlEl = document.createElement("span");
+      urlEl.className = "urlbarView-url";
+      urlEl.textContent = item.subtitle;
+      rowInner.appendChild(urlEl);
+    }
+    row.appendChild(rowInner);
+
+    // Keep focus in #urlbar-input so the panel does not close while picking
+    row.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+    });
+    row.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (activePicker?.multiple) {
+        togglePickerItem(index);
+      } else {
+        pickPickerItem(index);
+      }
+    });
+    return row;
   }
 
-  // Check if web search is enabled
-  function isWebSearchEnabled() {
-    return getPref("extension.urlbar-llm.web-search-enabled", true);
+  function setPickerSelection(visibleRows, position) {
+    visibleRows.forEach((row, i) => {
+      if (i === position) {
+        row.setAttribute("selected", "");
+        row.setAttribute("aria-selected", "true");
+        row.scrollIntoView({ block: "nearest" });
+      } else {
+        row.removeAttribute("selected");
+        row.removeAttribute("aria-selected");
+      }
+    });
+    activePicker.selectedIndex = position;
   }
 
   /**
-   * Detects when the user explicitly asks to search (e.g. "Tu peux chercher sur internet?")
+   * Replace the results area with picker rows. `onPick(item)` runs when the user picks a row;
+   * with `multiple`, `onPick(items)` gets the checked rows (or the highlighted one if none is).
+   * `onCancel` runs when the picker is dismissed with Escape.
    */
-  function isExplicitSearchRequest(query) {
-    const t = query.trim().toLowerCase();
-    const patterns = [
-      /\b(cherche|search|recherche)\s+(sur\s+)?(internet|le\s+web|the\s+web)/i,
+  function showUrlbarPicker(items, onPick, { multiple = false, onCancel = null } = {}) {
+    const resultsEl = getUrlbarResultsElement();
+    if (!resultsEl) {
+      logError("showUrlbarPicker: no .urlbarView-results");
+      return false;
+    }
+    removeLlmHistoryRowsFromResults();
+    removeLlmPickerRowsFromResults();
+    activePicker = { items, onPick, onCancel, selectedIndex: 0, multiple, checked: new Set() };
+    items.forEach((item, index) => resultsEl.appendChild(createPickerUrlbarRow(item, index)));
+    setPickerSelection(getVisiblePickerRows(), 0);
+
+    const urlbarViewBodyInner = document.querySelector(".urlbarView-body-inner");
+    if (urlbarViewBodyInner) {
+      urlbarViewBodyInner.style.display = "";
+    }
+    return true;
+  }
+
+  function dismissUrlbarPicker() {
+    if (!activePicker) {
+      return;
+    }
+    activePicker = null;
+    removeLlmPickerRowsFromResults();
+    if (!conversationHistory.length && !(conversationContainer && conversationContainer.parentNode)) {
+      const urlbarViewBodyInner = document.querySelector(".urlbarView-body-inner");
+      if (urlbarViewBodyInner) {
+        urlbarViewBodyInner.style.display = "none";
+      }
+    }
+  }
+
+  function cancelUrlbarPicker() {
+    const onCancel = activePicker?.onCancel;
+    dismissUrlbarPicker();
+    onCancel?.();
+  }
+
+  function pickPickerItem(index) {
+    if (!activePicker || !activePicker.items[index]) {
+      return;
+    }
+    const { onPick, items, multiple, checked } = activePicker;
+    dismissUrlbarPicker();
+    if (multiple) {
+      onPick(checked.size ? [...checked].sort((a, b) => a - b).map((i) => items[i]) : [items[index]]);
+    } else {
+      onPick(items[index]);
+    }
+  }
+
+  /** Check or uncheck a row of a multi-select picker. */
+  function togglePickerItem(index) {
+    if (!activePicker?.multiple || !activePicker.items[index]) {
+      return;
+    }
+    const { checked } = activePicker;
+    const isChecked = !checked.has(index);
+    if (isChecked) {
+      checked.add(index);
+    } else {
+      checked.delete(index);
+    }
+    const row = getUrlbarResultsElement()?.querySelector(
+      `.urlbarView-row[${ATTR_LLM_PICKER_ROW}][data-picker-index="${index}"]`
+    );
+    row?.toggleAttribute("llm-picker-checked", isChecked);
+  }
+
+  /** Hide rows whose title does not contain the typed text. */
+  function filterUrlbarPicker(text) {
+    if (!activePicker) {
+      return;
+    }
+    const needle = (text || "").trim().toLowerCase();
+    const results = getUrlbarResultsElement();
+    if (!results) {
+      return;
+    }
+    results.querySelectorAll(`.urlbarView-row[${ATTR_LLM_PICKER_ROW}]`).forEach((row) => {
+      const item = activePicker.items[parseInt(row.getAttribute("data-picker-index"), 10)];
+      row.hidden = !!needle && !(item && item.title.toLowerCase().includes(needle));
+    });
+    setPickerSelection(getVisiblePickerRows(), 0);
+  }
+
+  /**
+   * Keyboard handling while a picker is open. Returns true when the key was consumed.
+   */
+  function handlePickerKeydown(e) {
+    if (!activePicker) {
+      return false;
+    }
+    const rows = getVisiblePickerRows();
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (rows.length) {
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setPickerSelection(rows, (activePicker.selectedIndex + step + rows.length) % rows.length);
+      }
+      return true;
+    }
+    if (e.key === "Tab" && activePicker.multiple) {
+      const row = rows[activePicker.selectedIndex];
+      if (row) {
+        togglePickerItem(parseInt(row.getAttribute("data-picker-index"), 10));
+      }
+      return true;
+    }
+    if (e.key === "Enter") {
+      const row = rows[activePicker.selectedIndex] || rows[0];
+      if (row) {
+        pickPickerItem(parseInt(row.getAttribute("data-picker-index"), 10));
+      } else if (activePicker.multiple && activePicker.checked.size) {
+        pickPickerItem([...activePicker.checked][0]);
+      } else {
+        cancelUrlbarPicker();
+      }
+      return true;
+    }
+    if (e.key === "Escape") {
+      cancelUrlbarPicker();
+      return true;
+    }
+    return false;
+  }
+
+  // ============================================
+  // Model discovery (GET /models, Ollama GET /api/tags)
+  // ============================================
+
+  /** `${providerKey}|${baseUrl}` → { models: string[], timestamp } */
+  const modelListCache = new Map();
+
+  /**
+   * List the models a provider serves, cached for MODEL_LIST_CACHE_TTL.
+   * @returns {Promise<string[]>}
+   */
+  async function fetchProviderModels(providerKey, provider) {
+    const cacheKey = `${providerKey}|${provider.baseUrl}`;
+    const cached = modelListCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < LIMITS.MODEL_LIST_CACHE_TTL) {
+      log("Using cached model list for:", providerKey);
+      return cached.models;
+    }
+
+    const adapter = getProviderAdapter(provider);
+    const { url, headers } = adapter.buildModelsRequest(provider);
+    log("Fetching model list:", url);
+    const response = await Promise.race([
+      fetch(url, { headers }),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Model list timeout")), LIMITS.MODEL_LIST_TIMEOUT)
+      )
+    ]);
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} ${response.statusText}`);
+    }
+    const models = [...new Set(adapter.parseModels(await response.json()))].sort((a, b) =>
+      a.localeCompare(b)
+    );
+    modelListCache.set(cacheKey, { models, timestamp: Date.now() });
+    log("Discovered", models.length, "models for:", providerKey);
+    return models;
+  }
+
+  /** Switch the active provider's model for this LLM session. */
+  function setActiveModel(model) {
+    if (!currentProvider || !model) {
+      return;
+    }
+    currentProvider.model = model;
+    const labelBox = document.getElementById("urlbar-label-box");
+    if (labelBox) {
+      labelBox.setAttribute("tooltiptext", model);
+      labelBox.title = model;
+    }
+    log("Active model:", model);
+  }
+
+  /**
+   * "/provider:" + Tab — list the provider's models as picker rows; the pick applies to this session.
+   */
+  async function showModelPicker(providerKey, urlbar, urlbarInput) {
+    const provider = currentProvider;
+    if (!provider) {
+      return;
+    }
+    urlbarInput.setAttribute("placeholder", "Loading models...");
+    let models = [];
+    try {
+      models = await fetchProviderModels(providerKey, provider);
+    } catch (err) {
+      logWarn("Could not list models for", providerKey, ":", err.message);
+    }
+    if (!isLLMMode || currentProvider !== provider) {
+      return; // Deactivated or switched provider while the list was loading
+    }
+    if (!models.length) {
+      models = [provider.model];
+    }
+
+    const items = models.map((id) => ({
+      value: id,
+      title: id,
+      subtitle: id === provider.model ? "Current model" : ""
+    }));
+    const shown = showUrlbarPicker(items, (item) => {
+      setActiveModel(item.value);
+      urlbarInput.value = "";
+      currentQuery = "";
+      urlbarInput.setAttribute(
+        "placeholder",
+        conversationHistory.length > 0 ? "Ask a follow-up..." : "Ask anything..."
+      );
+      urlbarInput.focus();
+    });
+    if (shown) {
+      urlbarInput.setAttribute("placeholder", `Pick a ${provider.name} model (type to filter)...`);
+      urlbarInput.focus();
+    }
+  }
+
+  // ============================================
+  // Load Mozilla Readability for content extraction
+  // ============================================
+  let ReadabilityClass = null;
+  
+  // Try to load Readability.js from the same directory as this script
+  try {
+    // Derive the directory from this script's own path
+    const currentScriptPath = Components.stack.filename;
+    const scriptDir = currentScriptPath.substring(0, currentScriptPath.lastIndexOf('/') + 1);
+    const readabilityPath = scriptDir + "Readability.js";
+    const scope = {};
+    Services.scriptloader.loadSubScript(readabilityPath, scope);
+    ReadabilityClass = scope.Readability;
+    log("Loaded Mozilla Readability from", readabilityPath);
+  } catch (e) {
+    logWarn("Could not load Readability.js:", e.message);
+    // Readability will be null, fallback extraction will be used
+  }
+
+  // ============================================
+  // Load marked (markdown parser), DOMPurify (sanitizer), highlight.js (syntax highlighting)
+  // ============================================
+  let markedLib = null;
+  let DOMPurifyLib = null;
+  let hljsLib = null;
+  try {
+    const currentScriptPath = Components.stack.filename;
+    const scriptDir = currentScriptPath.substring(0, currentScriptPath.lastIndexOf('/') + 1);
+    const vendorsDir = scriptDir + "vendors/";
+    Services.scriptloader.loadSubScript(vendorsDir + "marked.min.js");
+    Services.scriptloader.loadSubScript(vendorsDir + "purify.min.js");
+    markedLib = (typeof marked !== "undefined") ? marked : null;
+    DOMPurifyLib = (typeof DOMPurify !== "undefined") ? DOMPurify : null;
+    if (markedLib && DOMPurifyLib) {
+      log("Loaded marked and DOMPurify from", vendorsDir);
+    } else {
+      markedLib = null;
+      DOMPurifyLib = null;
+      logWarn("marked or DOMPurify failed to load, using fallback markdown parser");
+    }
+    try {
+      Services.scriptloader.loadSubScript(vendorsDir + "highlight.min.js");
+      hljsLib = (typeof hljs !== "undefined") ? hljs : null;
+      if (hljsLib) {
+        log("Loaded highlight.js from", vendorsDir);
+      } else {
+        logWarn("highlight.js failed to expose hljs; code blocks will render without highlighting");
+      }
+    } catch (hlErr) {
+      logWarn("Could not load highlight.js:", hlErr.message, "- code blocks will render without highlighting");
+    }
+  } catch (e) {
+    logWarn("Could not load marked/DOMPurify:", e.message, "- using fallback markdown parser");
+  }
+  
+  function getPref(name, defaultValue) {
+    try {
+      if (!Services || !Services.prefs) {
+        return defaultValue;
+      }
+      const type = Services.prefs.getPrefType(name);
+      if (type === Services.prefs.PREF_STRING) {
+        return Services.prefs.getStringPref(name, defaultValue);
+      } else if (type === Services.prefs.PREF_BOOL) {
+        return Services.prefs.getBoolPref(name, defaultValue);
+      } else if (type === Services.prefs.PREF_INT) {
+        return Services.prefs.getIntPref(name, defaultValue);
+      }
+    } catch (e) {
+      // Pref doesn't exist, return default
+    }
+    return defaultValue;
+  }
+
+  function setPref(name, value) {
+    try {
+      if (!Services || !Services.prefs) {
+        return;
+      }
+      if (typeof value === "string") {
+        Services.prefs.setStringPref(name, value);
+      } else if (typeof value === "boolean") {
+        Services.prefs.setBoolPref(name, value);
+      } else if (typeof value === "number") {
+        Services.prefs.setIntPref(name, value);
+      }
+    } catch (e) {
+      logError("Failed to set preference:", e);
+    }
+  }
+
+  // Debug logging (enable via about:config: extension.urlbar-llm.debug = true)
+  function log(...args) {
+    if (getPref("extension.urlbar-llm.debug", false)) {
+      console.log("[URLBar LLM]", ...args);
+    }
+  }
+
+  function logWarn(...args) {
+    console.warn("[URLBar LLM]", ...args);
+  }
+
+  function logError(...args) {
+    console.error("[URLBar LLM]", ...args);
+  }
+
+  // Check if LLM is enabled
+  function isEnabled() {
+    return getPref("extension.urlbar-llm.enabled", true);
+  }
+
+  // Check if web search is enabled
+  const WEB_SEARCH_MODES = ["auto", "always", "never"];
+
+  /**
+   * Web search mode for a provider: "always", "never" or "auto" (local heuristics, then the LLM
+   * classifier). The provider's `<key>-web-search-mode` pref wins over `web-search-mode`; without
+   * either, the older `web-search-enabled` checkbox maps to "auto" / "never".
+   */
+  function getWebSearchMode(providerKey = null) {
+    const readMode = (name) => String(getPref(name, "") || "").trim().toLowerCase();
+    const own = providerKey ? readMode(`extension.urlbar-llm.${providerKey}-web-search-mode`) : "";
+    if (WEB_SEARCH_MODES.includes(own)) {
+      return own;
+    }
+    const global = readMode("extension.urlbar-llm.web-search-mode");
+    if (WEB_SEARCH_MODES.includes(global)) {
+      return global;
+    }
+    return getPref("extension.urlbar-llm.web-search-enabled", true) ? "auto" : "never";
+  }
+
+  /**
+   * One-time move from the `web-search-enabled` checkbox: an unchecked box becomes
+   * `web-search-mode` "never", unless the dropdown was already set (its "auto" default
+   * would otherwise hide the old choice).
+   */
+  function migrateWebSearchEnabledPref() {
+    try {
+      if (
+        Services.prefs.prefHasUserValue("extension.urlbar-llm.web-search-enabled") &&
+        getPref("extension.urlbar-llm.web-search-enabled", true) === false &&
+        !Services.prefs.prefHasUserValue("extension.urlbar-llm.web-search-mode")
+      ) {
+        setPref("extension.urlbar-llm.web-search-mode", "never");
+        log("Migrated web-search-enabled=false to web-search-mode=never");
+      }
+    } catch (e) {
+      logWarn("Could not migrate web-search-enabled:", e);
+    }
+  }
+
+  function isWebSearchEnabled(providerKey = null) {
+    return getWebSearchMode(providerKey) !== "never";
+  }
+
+  /**
+   * Detects when the user explicitly asks to search (e.g. "Tu peux chercher sur internet?")
+   */
+  function isExplicitSearchRequest(query) {
+    const t = query.trim().toLowerCase();
+    const patterns = [
+      /\b(cherche|search|recherche)\s+(sur\s+)?(internet|le\s+web|the\s+web)/i,
       /\b(tu\s+peux|can\s+you|pourrais[- ]tu)\s+chercher/i,
       /\b(can\s+you|could\s+you)\s+search\s+(the\s+)?(internet|web)/i,
       /\blook\s+it\s+up\b/i,
@@ -1677,31 +3059,89 @@
     return lookupPatterns.some((re) => re.test(t));
   }
 
-  /**
-   * LLM-based web search classification
-   * Asks the model itself whether the question is within its knowledge scope.
-   * If not, triggers a web search. This replaces pure heuristic detection.
-   * @param {Array<{role: string, content: string}>} [apiHistory] - For follow-up context in classifier
-   */
-  async function queryNeedsWebSearchLLM(query, isFollowUp = false, signal = null, apiHistory = null) {
-    // Heuristic override: "Qui est X", "Who is X", etc. often get ANSWER but the model then says it doesn't know
-    if (looksLikeLookupQuery(query)) {
-      log('Lookup-style query, forcing web search:', query);
-      return true;
-    }
+  /** Questions about now: news, dates, weather, prices, scores, recent years */
+  const TIME_SENSITIVE_PATTERNS = [
+    /\b(today|tonight|yesterday|tomorrow|this (week|month|year)|right now|latest|breaking|news|weather|forecast|stock price|exchange rate|release date)\b/i,
+    /(aujourd'hui|\bhier\b|\bdemain\b|cette (semaine|année)|\bactualités?\b|dernières? nouvelles|en ce moment|\bmétéo\b|\bcours (de|du)\b|taux de change|date de sortie)/i,
+    // Sports scores, not z-scores or credit scores
+    /\b(final|live|half-time|halftime) scores?\b|\bscores? (of|in) (the|last|yesterday|tonight)\b/i,
+    // A recent year used as a date ("in 2025", "2025 election"), not any four-digit number
+    /\b(in|since|during|until|by|en|depuis) 20[2-9]\d\b|\b20[2-9]\d (election|elections|season|olympics|world cup|results?|budget|élections?|saison)\b/i
+  ];
 
-    // Ask the LLM to classify the query
-    log('Asking model to classify query for web search need:', query);
+  /** Work on text the user supplies or the model writes: no outside facts needed */
+  const SELF_CONTAINED_TASK_PATTERNS = [
+    /^(write|rewrite|translate|summari[sz]e|fix|refactor|debug|format|proofread|correct|rephrase|paraphrase|shorten|make (it|this))\b/i,
+    /^(traduis|tradui[st]|traduire|résume|résumer|écris|rédige|corrige|reformule|raccourcis)\b/i
+  ];
 
-    const followUpHint = isFollowUp
-      ? `\n\nThis may be a follow-up in an ongoing chat (short wording is normal). If it needs current events, recent data, verification, or anything time-sensitive or niche, reply SEARCH. Do not assume earlier messages already gave enough web context for this turn.`
-      : "";
+  const GREETING_PATTERN = /^(hi|hello|hey|thanks|thank you|merci|bonjour|salut|ok|okay)\b[\s!.?]*$/i;
 
-    let userContent = query;
-    if (isFollowUp && apiHistory && apiHistory.length > 1) {
-      const snippet = formatTranscriptForSearchQuery(
-        apiHistory.slice(0, -1).slice(-4)
-      );
+  /**
+   * Whether the message carries the material a self-contained task works on: attached context,
+   * pasted code, text after "…:" or on further lines, or simply a long message.
+   */
+  function carriesTaskMaterial(text, hasContext) {
+    return hasContext || text.includes("```") || text.includes("\n") || /^[^:]{1,80}:\s*\S/.test(text) || text.length > 400;
+  }
+
+  /**
+   * First, local tier of "auto" search mode: true (search), false (answer directly) or null when
+   * unsure, which leaves the decision to the LLM classifier. Builds on looksLikeLookupQuery.
+   * A rewrite/translate/… request only skips the search when it brings its own material, so
+   * "summarize the latest news" still searches; the search patterns only decide for short questions.
+   * @param {boolean} [hasContext] - The message has attached context (@page, files, images, …)
+   */
+  function classifySearchNeedLocally(query, hasContext = false) {
+    const t = query.trim();
+    // Greetings and arithmetic
+    if (GREETING_PATTERN.test(t) || /^[\d\s+\-*/^().,%=×÷]+$/.test(t)) {
+      return false;
+    }
+    if (SELF_CONTAINED_TASK_PATTERNS.some((re) => re.test(t)) && carriesTaskMaterial(t, hasContext)) {
+      return false;
+    }
+    // Pasted code / long text to work on
+    if (t.includes("```") || t.length > 1500) {
+      return false;
+    }
+    if (t.length > 200) {
+      return null;
+    }
+    if (looksLikeLookupQuery(t) || isExplicitSearchRequest(t) || TIME_SENSITIVE_PATTERNS.some((re) => re.test(t))) {
+      return true;
+    }
+    return null;
+  }
+
+  /**
+   * LLM-based web search classification
+   * Asks the model itself whether the question is within its knowledge scope.
+   * If not, triggers a web search. Local heuristics (classifySearchNeedLocally) answer first
+   * when they can, which saves the round trip.
+   * @param {Array<{role: string, content: string}>} [apiHistory] - For follow-up context in classifier
+   */
+  async function queryNeedsWebSearchLLM(query, isFollowUp = false, signal = null, apiHistory = null) {
+    // Heuristic tier: "Qui est X", "Who is X", news, etc. often get ANSWER but the model then says it doesn't know;
+    // translations, rewrites and greetings never need a search
+    const local = classifySearchNeedLocally(query, !!apiHistory?.at(-1)?.context?.length);
+    if (local !== null) {
+      log('Local heuristics decided:', local ? 'needs web search' : 'can answer from knowledge', '-', query);
+      return local;
+    }
+
+    // Ask the LLM to classify the query
+    log('Asking model to classify query for web search need:', query);
+
+    const followUpHint = isFollowUp
+      ? `\n\nThis may be a follow-up in an ongoing chat (short wording is normal). If it needs current events, recent data, verification, or anything time-sensitive or niche, reply SEARCH. Do not assume earlier messages already gave enough web context for this turn.`
+      : "";
+
+    let userContent = query;
+    if (isFollowUp && apiHistory && apiHistory.length > 1) {
+      const snippet = formatTranscriptForSearchQuery(
+        apiHistory.slice(0, -1).slice(-4)
+      );
       if (snippet) {
         userContent = `Recent conversation:\n${snippet}\n\nLatest message:\n${query}`;
       }
@@ -1759,6 +3199,11 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
     }
 
     for (const [key, provider] of Object.entries(CONFIG.providers)) {
+      // Custom providers carry their own key/model (see loadCustomProviders)
+      if (provider.custom) {
+        continue;
+      }
+
       // Load API keys
       if (key !== "ollama") {
         const prefKey = `extension.urlbar-llm.${key}-api-key`;
@@ -1768,6 +3213,9 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
       // Load models
       const modelPref = `extension.urlbar-llm.${key}-model`;
       provider.model = getPref(modelPref, provider.model);
+
+      provider.params = loadProviderParams(key);
+      provider.systemPrompt = loadProviderSystemPrompt(key);
     }
 
     // Load Ollama base URL
@@ -1781,6 +3229,73 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
       "extension.urlbar-llm.ollama-web-search-api-key",
       ""
     );
+
+    loadCustomProviders();
+    loadPersonas();
+    migrateWebSearchEnabledPref();
+
+    CONFIG.defaultProvider = String(getPref(DEFAULT_PROVIDER_PREF, "ollama") || "ollama").trim().toLowerCase();
+  }
+
+  const CUSTOM_PROVIDERS_PREF = "extension.urlbar-llm.custom-providers";
+
+  /**
+   * Register user-defined OpenAI-compatible endpoints from the `custom-providers` pref:
+   * a JSON array of `{ keyword, name, baseUrl, apiKey?, model }`. Each entry becomes a
+   * `/keyword` activator on the OpenAI-style SSE path (sampling params from
+   * `extension.urlbar-llm.<keyword>-params`). Re-running replaces earlier custom
+   * entries; built-in provider keys are never overridden.
+   */
+  function loadCustomProviders() {
+    for (const [key, provider] of Object.entries(CONFIG.providers)) {
+      if (provider.custom) {
+        delete CONFIG.providers[key];
+      }
+    }
+
+    const raw = String(getPref(CUSTOM_PROVIDERS_PREF, "") || "").trim();
+    if (!raw) {
+      return;
+    }
+    let entries;
+    try {
+      entries = JSON.parse(raw);
+    } catch (e) {
+      logWarn("Ignoring custom providers: invalid JSON in", CUSTOM_PROVIDERS_PREF, "-", e.message);
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      logWarn("Ignoring custom providers:", CUSTOM_PROVIDERS_PREF, "must be a JSON array");
+      return;
+    }
+
+    for (const entry of entries) {
+      const keyword = String(entry?.keyword || "").trim().replace(/^\//, "").toLowerCase();
+      if (!/^\w+$/.test(keyword)) {
+        logWarn("Skipping custom provider with invalid keyword:", entry?.keyword);
+        continue;
+      }
+      if (CONFIG.providers[keyword] || keyword === COMPARE_KEYWORD) {
+        logWarn("Skipping custom provider, keyword already in use:", keyword);
+        continue;
+      }
+      const baseUrl = String(entry.baseUrl || "").trim();
+      if (!baseUrl) {
+        logWarn("Skipping custom provider without baseUrl:", keyword);
+        continue;
+      }
+      CONFIG.providers[keyword] = {
+        name: String(entry.name || "").trim() || keyword,
+        api: "openai",
+        apiKey: entry.apiKey ? String(entry.apiKey) : null, // null = no key needed (local servers)
+        baseUrl,
+        model: String(entry.model || "").trim() || "default",
+        params: loadProviderParams(keyword),
+        systemPrompt: loadProviderSystemPrompt(keyword),
+        custom: true
+      };
+      log("Registered custom provider:", keyword, "→", baseUrl);
+    }
   }
 
   // Initialize when browser window loads
@@ -1791,6 +3306,7 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
     }
 
     loadConfig();
+    loadPromptTemplates();
 
     // Migrate from JSON file to IndexedDB on first run
     migrateFromFileIfNeeded().catch(() => {});
@@ -1814,9 +3330,498 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
     }
 
     setupEventListeners(urlbar, urlbarInput);
+    observeConfigPrefs();
     log("Initialized");
   }
 
+  /**
+   * Pick up custom provider, persona and prompt template edits from Sine / about:config without
+   * a restart. Registered once per window (after the urlbar is set up, not on init retries) and
+   * removed when the window unloads.
+   */
+  function observeConfigPrefs() {
+    const observers = [
+      [CUSTOM_PROVIDERS_PREF, () => loadCustomProviders()],
+      [PERSONAS_PREF, () => loadPersonas()],
+      [PROMPT_TEMPLATES_PREF, () => loadPromptTemplates()]
+    ];
+    for (const [pref, observer] of observers) {
+      try {
+        Services.prefs.addObserver(pref, observer);
+      } catch (e) {
+        logWarn("Could not observe pref:", pref, "-", e.message);
+      }
+    }
+    window.addEventListener(
+      "unload",
+      () => {
+        for (const [pref, observer] of observers) {
+          try {
+            Services.prefs.removeObserver(pref, observer);
+          } catch (e) {}
+        }
+      },
+      { once: true }
+    );
+  }
+
+  // ============================================
+  // Prompt templates ("/tldr", "/translate French")
+  // ============================================
+
+  const PROMPT_TEMPLATES_PREF = "extension.urlbar-llm.prompt-templates";
+  /** Shared template file in the profile folder; entries in the pref win on name clashes */
+  const PROMPT_TEMPLATES_FILE_NAME = "urlbar-llm-prompts.json";
+
+  /** name → { name, prompt, description, args } (args = the template's own placeholders, in order) */
+  let promptTemplates = new Map();
+
+  /**
+   * Placeholders filled from the browser rather than from the command line. Context ones add the
+   * matching "@mention" to the message and read as a reference to the attached material.
+   */
+  const TEMPLATE_CONTEXT_VARIABLES = {
+    selection: { mention: "selection", text: "the quoted selection" },
+    page: { mention: "page", text: "the attached page" },
+    tabs: { mention: "tabs", text: "the attached tabs" }
+  };
+  const TEMPLATE_VALUE_VARIABLES = {
+    url: async () => getCurrentTab()?.linkedBrowser?.currentURI?.spec || "",
+    title: async () => getCurrentTab()?.label || "",
+    clipboard: async () => {
+      try {
+        return (await navigator.clipboard.readText()) || "";
+      } catch (e) {
+        logWarn("Could not read clipboard for template:", e.message);
+        return "";
+      }
+    }
+  };
+
+  const TEMPLATE_PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+  /**
+   * Turn a parsed templates JSON into entries: an object of `name: "prompt"` or
+   * `name: { prompt, description }`. Invalid entries are skipped with a warning.
+   */
+  function parsePromptTemplates(data, origin) {
+    const templates = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      logWarn("Ignoring prompt templates from", origin + ": expected a JSON object of name → prompt");
+      return templates;
+    }
+    for (const [rawName, value] of Object.entries(data)) {
+      const name = String(rawName).trim().replace(/^\//, "").toLowerCase();
+      const prompt = typeof value === "string" ? value : value?.prompt;
+      if (!/^\w+$/.test(name) || typeof prompt !== "string" || !prompt.trim()) {
+        logWarn("Skipping invalid prompt template in", origin + ":", rawName);
+        continue;
+      }
+      if (LLM_MODE_COMMANDS[name]) {
+        logWarn("Skipping prompt template, name is a built-in command:", name);
+        continue;
+      }
+      const args = [];
+      for (const [, placeholder] of prompt.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)) {
+        const key = placeholder.toLowerCase();
+        if (!TEMPLATE_CONTEXT_VARIABLES[key] && !TEMPLATE_VALUE_VARIABLES[key] && !args.includes(key)) {
+          args.push(key);
+        }
+      }
+      const description = typeof value === "object" && value.description ? String(value.description) : "";
+      templates.push({ name, prompt: prompt.trim(), description, args });
+    }
+    return templates;
+  }
+
+  /** Templates from the profile file (missing file = none) */
+  async function readPromptTemplatesFile() {
+    const path = PathUtils.join(PathUtils.profileDir, PROMPT_TEMPLATES_FILE_NAME);
+    try {
+      if (!(await IOUtils.exists(path))) {
+        return [];
+      }
+      return parsePromptTemplates(JSON.parse(await IOUtils.readUTF8(path)), PROMPT_TEMPLATES_FILE_NAME);
+    } catch (e) {
+      logWarn("Ignoring prompt templates file:", e.message);
+      return [];
+    }
+  }
+
+  /** Templates from the `prompt-templates` pref (JSON, same shape as the file) */
+  function readPromptTemplatesPref() {
+    const raw = String(getPref(PROMPT_TEMPLATES_PREF, "") || "").trim();
+    if (!raw) {
+      return [];
+    }
+    try {
+      return parsePromptTemplates(JSON.parse(raw), PROMPT_TEMPLATES_PREF);
+    } catch (e) {
+      logWarn("Ignoring prompt templates: invalid JSON in", PROMPT_TEMPLATES_PREF, "-", e.message);
+      return [];
+    }
+  }
+
+  /** (Re)load templates from the profile file and the pref (on start, pref changes and each activation). */
+  async function loadPromptTemplates() {
+    const fromFile = await readPromptTemplatesFile();
+    const merged = new Map();
+    for (const template of [...fromFile, ...readPromptTemplatesPref()]) {
+      merged.set(template.name, template);
+    }
+    promptTemplates = merged;
+    log("Loaded", merged.size, "prompt templates");
+  }
+
+  /** "/translate {lang}" — how a template is typed */
+  function describePromptTemplateUsage(template) {
+    return [`/${template.name}`, ...template.args.map((arg) => `{${arg}}`)].join(" ");
+  }
+
+  /** `{ template, args }` when `text` calls a template ("/name rest"), else null */
+  function parsePromptTemplateCall(text) {
+    const match = (text || "").trim().match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+    const template = match && promptTemplates.get(match[1].toLowerCase());
+    return template ? { template, args: (match[2] || "").trim() } : null;
+  }
+
+  /**
+   * Fill a template call into the message to send. Each of the template's own placeholders takes
+   * one word of the arguments and the last one takes the rest; a template without placeholders
+   * gets the arguments appended. Context placeholders append "@page" / "@selection" / "@tabs".
+   * @returns {Promise<{ text: string }|{ error: string }>}
+   */
+  async function expandPromptTemplate({ template, args }) {
+    const values = {};
+    const words = args ? args.split(/\s+/) : [];
+    template.args.forEach((arg, i) => {
+      values[arg] = i === template.args.length - 1 ? words.slice(i).join(" ") : words[i] || "";
+    });
+    const missing = template.args.filter((arg) => !values[arg]);
+    if (missing.length) {
+      return { error: `Usage: ${describePromptTemplateUsage(template)}` };
+    }
+
+    const mentions = new Set();
+    const used = new Set([...template.prompt.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)].map((m) => m[1].toLowerCase()));
+    for (const name of used) {
+      if (TEMPLATE_CONTEXT_VARIABLES[name]) {
+        values[name] = TEMPLATE_CONTEXT_VARIABLES[name].text;
+        mentions.add(TEMPLATE_CONTEXT_VARIABLES[name].mention);
+      } else if (TEMPLATE_VALUE_VARIABLES[name]) {
+        values[name] = await TEMPLATE_VALUE_VARIABLES[name]();
+        if (!values[name]) {
+          return { error: `/${template.name}: nothing to fill {${name}} with` };
+        }
+      }
+    }
+
+    let text = template.prompt.replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, name) => values[name.toLowerCase()] ?? match);
+    if (!template.args.length && args) {
+      text += `\n\n${args}`;
+    }
+    for (const mention of mentions) {
+      text += ` @${mention}`;
+    }
+    return { text };
+  }
+
+  /**
+   * Autocomplete hint while typing a template in LLM mode: matching names while the name is
+   * typed ("/tr" → "/translate {lang}"), the usage and description once it is complete.
+   * Returns the name Tab should complete to, or null.
+   */
+  function updatePromptTemplateHint(urlbar, value) {
+    const typing = (value || "").match(/^\/(\w*)$/);
+    const called = !typing && (value || "").match(/^\/(\w+)\s/);
+    let hint = "";
+    let completion = null;
+    if (typing) {
+      const prefix = typing[1].toLowerCase();
+      const matches = [...promptTemplates.values()]
+        .filter((template) => template.name.startsWith(prefix))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      if (matches.length) {
+        completion = matches[0].name;
+        hint = matches.slice(0, 3).map(describePromptTemplateUsage).join("  ·  ") + "  ·  Tab to complete";
+      }
+    } else if (called && promptTemplates.has(called[1].toLowerCase())) {
+      const template = promptTemplates.get(called[1].toLowerCase());
+      hint = [describePromptTemplateUsage(template), template.description].filter(Boolean).join(" — ");
+    }
+    if (hint) {
+      urlbar.setAttribute("llm-template-hint", hint);
+    } else {
+      urlbar.removeAttribute("llm-template-hint");
+    }
+    return completion;
+  }
+
+  // ============================================
+  // System prompts and personas ("/mistral:coder")
+  // ============================================
+
+  const SYSTEM_PROMPT_PREF = "extension.urlbar-llm.system-prompt";
+  const PERSONAS_PREF = "extension.urlbar-llm.personas";
+
+  /** name → { name, prompt, description } */
+  let personas = new Map();
+
+  /** Per-provider instructions from `extension.urlbar-llm.<key>-system-prompt` */
+  function loadProviderSystemPrompt(key) {
+    return String(getPref(`extension.urlbar-llm.${key}-system-prompt`, "") || "").trim();
+  }
+
+  /**
+   * Load named personas from the `personas` pref: a JSON object of `name: "instructions"` or
+   * `name: { prompt, description }`. Names are chosen at activation ("/provider:name").
+   */
+  function loadPersonas() {
+    const loaded = new Map();
+    const raw = String(getPref(PERSONAS_PREF, "") || "").trim();
+    let data = null;
+    if (raw) {
+      try {
+        data = JSON.parse(raw);
+      } catch (e) {
+        logWarn("Ignoring personas: invalid JSON in", PERSONAS_PREF, "-", e.message);
+      }
+    }
+    if (data && (typeof data !== "object" || Array.isArray(data))) {
+      logWarn("Ignoring personas:", PERSONAS_PREF, "must be a JSON object of name → instructions");
+      data = null;
+    }
+    for (const [rawName, value] of Object.entries(data || {})) {
+      const name = String(rawName).trim().toLowerCase();
+      const prompt = typeof value === "string" ? value : value?.prompt;
+      if (!/^[\w-]+$/.test(name) || typeof prompt !== "string" || !prompt.trim()) {
+        logWarn("Skipping invalid persona:", rawName);
+        continue;
+      }
+      const description = typeof value === "object" && value.description ? String(value.description) : "";
+      loaded.set(name, { name, prompt: prompt.trim(), description });
+    }
+    personas = loaded;
+    log("Loaded", loaded.size, "personas");
+  }
+
+  /**
+   * System instruction for a provider session: the built-in language rules, then the global
+   * system prompt, the provider's own and the active persona's, most specific last.
+   */
+  function composeSystemPrompt(provider) {
+    const persona = provider?.persona ? personas.get(provider.persona) : null;
+    return [
+      LANGUAGE_SYSTEM_INSTRUCTION,
+      String(getPref(SYSTEM_PROMPT_PREF, "") || "").trim(),
+      provider?.systemPrompt || "",
+      persona?.prompt || ""
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  /**
+   * Apply a persona to this LLM session (null clears it). Returns false for unknown names.
+   * The pill shows it as "Provider · persona".
+   */
+  function setActivePersona(name, urlbar) {
+    const key = name ? String(name).trim().toLowerCase() : null;
+    if (!currentProvider || (key && !personas.has(key))) {
+      return false;
+    }
+    if (key) {
+      currentProvider.persona = key;
+    } else {
+      delete currentProvider.persona;
+    }
+    const providerKey = urlbar.getAttribute("llm-provider");
+    if (providerKey) {
+      showProviderPill(urlbar, providerKey);
+    }
+    log("Active persona:", key || "(none)");
+    return true;
+  }
+
+  // ============================================
+  // Quick activation with the default provider ("> question", keyboard shortcut)
+  // ============================================
+
+  const DEFAULT_PROVIDER_PREF = "extension.urlbar-llm.default-provider";
+  const QUICK_PREFIX_PREF = "extension.urlbar-llm.quick-prefix";
+  const QUICK_SHORTCUT_PREF = "extension.urlbar-llm.quick-shortcut";
+
+  /** Provider key for quick activation, or null when the configured one does not exist */
+  function getDefaultProviderKey() {
+    return CONFIG.providers[CONFIG.defaultProvider] ? CONFIG.defaultProvider : null;
+  }
+
+  /** The rest of `value` when it starts with the quick prefix and a space ("> question"), else null */
+  function matchQuickPrefix(value) {
+    const prefix = String(getPref(QUICK_PREFIX_PREF, ">") || "").trim();
+    if (!prefix || !value || !value.startsWith(prefix) || !/\s/.test(value.charAt(prefix.length))) {
+      return null;
+    }
+    return value.slice(prefix.length).trimStart();
+  }
+
+  /**
+   * Parse a shortcut such as "Alt+Shift+Space" or "Accel+Shift+L" ("Accel" is Cmd on macOS,
+   * Ctrl elsewhere). Returns null for an empty or unreadable pref.
+   */
+  function parseQuickShortcut(spec) {
+    const parts = String(spec || "").split("+").map((part) => part.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) {
+      return null;
+    }
+    const isMac = navigator.platform.startsWith("Mac");
+    const shortcut = { ctrl: false, alt: false, shift: false, meta: false, key: key.toLowerCase(), code: null };
+    for (const part of parts.map((p) => p.toLowerCase())) {
+      if (part === "accel") {
+        shortcut[isMac ? "meta" : "ctrl"] = true;
+      } else if (part === "ctrl" || part === "control") {
+        shortcut.ctrl = true;
+      } else if (part === "alt" || part === "option") {
+        shortcut.alt = true;
+      } else if (part === "shift") {
+        shortcut.shift = true;
+      } else if (part === "meta" || part === "cmd" || part === "command") {
+        shortcut.meta = true;
+      } else {
+        return null;
+      }
+    }
+    // Match letters, digits and Space by physical key: Alt/Option changes `event.key` on macOS
+    if (/^[a-z]$/i.test(key)) {
+      shortcut.code = `Key${key.toUpperCase()}`;
+    } else if (/^\d$/.test(key)) {
+      shortcut.code = `Digit${key}`;
+    } else if (shortcut.key === "space") {
+      shortcut.code = "Space";
+    }
+    return shortcut;
+  }
+
+  function matchesQuickShortcut(event, shortcut) {
+    if (
+      !shortcut ||
+      event.ctrlKey !== shortcut.ctrl ||
+      event.altKey !== shortcut.alt ||
+      event.shiftKey !== shortcut.shift ||
+      event.metaKey !== shortcut.meta
+    ) {
+      return false;
+    }
+    return shortcut.code ? event.code === shortcut.code : event.key.toLowerCase() === shortcut.key;
+  }
+
+  /**
+   * Enter LLM mode with the default provider, starting from `query`. Opens and focuses the
+   * urlbar first, so it also works from the page (keyboard shortcut).
+   */
+  function quickActivateDefaultProvider(urlbar, urlbarInput, query = "") {
+    const providerKey = getDefaultProviderKey();
+    if (!providerKey) {
+      logWarn("Quick activation: unknown default provider:", CONFIG.defaultProvider);
+      return false;
+    }
+    if (document.activeElement !== urlbarInput) {
+      window.gURLBar?.focus();
+    }
+    urlbar.removeAttribute("llm-hint");
+    urlbarInput.value = query;
+    activateLLMMode(urlbar, urlbarInput, providerKey);
+    requestAnimationFrame(() => {
+      urlbar.setAttribute("open", "true");
+      urlbar.setAttribute("breakout-extend", "true");
+      urlbarInput.focus({ preventScroll: true });
+    });
+    log("Quick activation with default provider:", providerKey);
+    return true;
+  }
+
+  /**
+   * Slash commands typed inside LLM mode and sent with Enter: `/name argument`.
+   * Handlers receive the trimmed argument; unknown names are sent to the model as plain text.
+   */
+  const LLM_MODE_COMMANDS = {
+    /** "/model" lists the provider's models, "/model name" switches for the rest of the session */
+    model(arg, urlbar, urlbarInput) {
+      if (!arg) {
+        showModelPicker(urlbar.getAttribute("llm-provider"), urlbar, urlbarInput);
+        return;
+      }
+      const previous = currentProvider.model;
+      setActiveModel(arg);
+      if (previous !== arg) {
+        displayConversationNote(`Switched model: ${previous} → ${arg}`);
+      }
+    },
+
+    /** "/persona" lists personas, "/persona name" applies one to the session, "/persona off" clears it */
+    persona(arg, urlbar) {
+      if (!arg) {
+        const names = [...personas.keys()];
+        const active = currentProvider?.persona ? ` (active: ${currentProvider.persona})` : "";
+        displayConversationNote(names.length ? `Personas: ${names.join(", ")}${active}` : `No personas defined (${PERSONAS_PREF})`);
+        return;
+      }
+      const previous = currentProvider?.persona || null;
+      const next = /^(off|none)$/i.test(arg) ? null : arg;
+      if (!setActivePersona(next, urlbar)) {
+        displayConversationNote(`Unknown persona: ${arg}`);
+      } else if (previous !== (currentProvider.persona || null)) {
+        displayConversationNote(next ? `Persona: ${currentProvider.persona}` : "Persona cleared");
+      }
+    },
+
+    /** "/usage" totals tokens and estimated cost for the conversation so far */
+    usage() {
+      const total = sumConversationUsage(conversationHistory);
+      displayConversationNote(
+        total ? `This conversation: ${formatUsage(total, total.cost)}` : "No token usage reported yet"
+      );
+    },
+
+    /** "/screenshot" attaches the visible part of the current tab to the next message */
+    screenshot(arg, urlbar, urlbarInput) {
+      attachTabScreenshot(urlbarInput);
+    },
+
+    /** "/handoff provider[:model]" continues this thread with another provider */
+    handoff(arg, urlbar, urlbarInput) {
+      if (!arg) {
+        displayConversationNote(`Usage: /handoff <provider> (${Object.keys(CONFIG.providers).join(", ")})`);
+        return;
+      }
+      handoffConversation(arg, urlbar, urlbarInput);
+    }
+  };
+
+  /** Run `text` as an LLM-mode command. Returns false when it is not a known command. */
+  function tryRunLlmModeCommand(text, urlbar, urlbarInput) {
+    const match = (text || "").trim().match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+    const handler = match && LLM_MODE_COMMANDS[match[1].toLowerCase()];
+    if (!handler) {
+      return false;
+    }
+    if (compareSession) {
+      displayConversationNote(`/${match[1]} is not available in compare mode`);
+      return true;
+    }
+    log("LLM mode command:", match[1], match[2] || "");
+    handler((match[2] || "").trim(), urlbar, urlbarInput);
+    return true;
+  }
+
+  /** "/provider", "/provider:" (model picker) or "/provider:model"; [1] = key, [2] = model or persona (or "") */
+  const PROVIDER_ACTIVATION_PATTERN = /^\/(\w+)(?::(\S*))?(\s|$)/;
+
+  /** "/compare a b" with each side "provider" or "provider:model"; [1], [2] = sides */
+  const COMPARE_KEYWORD = "compare";
+  const COMPARE_ACTIVATION_PATTERN = /^\/compare\s+(\S+)\s+(\S+)(\s|$)/i;
+
   function setupEventListeners(urlbar, urlbarInput) {
     // Check if already initialized to prevent duplicate listeners
     if (urlbar._llmInitialized) {
@@ -1844,6 +3849,9 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
 
     urlbarInput.addEventListener("input", (e) => {
       inputValue = e.target.value;
+      if (isLLMMode && activePicker) {
+        filterUrlbarPicker(inputValue);
+      }
       lastInputTime = Date.now();
       // User is typing — clear selection state and restore native blur
       if (isSelectingInContainer) {
@@ -1854,12 +3862,23 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
       if (isLLMMode) {
         // Update query while in LLM mode
         currentQuery = inputValue;
+        if (!activePicker) {
+          updatePromptTemplateHint(urlbar, inputValue);
+        }
         // Prevent native urlbar from processing results
         e.stopPropagation();
+      } else if (matchQuickPrefix(inputValue) !== null && getDefaultProviderKey()) {
+        // "> question" goes straight to the default provider
+        e.stopPropagation();
+        quickActivateDefaultProvider(urlbar, urlbarInput, matchQuickPrefix(inputValue));
+        inputValue = urlbarInput.value;
       } else {
-        // Check for "/provider" pattern
-        const match = inputValue.match(/^\/(\w+)(\s|$)/);
-        if (match) {
+        // Check for "/compare a b", "/provider" or "/provider:model" pattern
+        const compareTargets = parseCompareTargets(inputValue);
+        const match = inputValue.match(PROVIDER_ACTIVATION_PATTERN);
+        if (compareTargets) {
+          urlbar.setAttribute("llm-hint", compareTargets.map((t) => CONFIG.providers[t.providerKey].name).join(" vs "));
+        } else if (match) {
           const providerKey = match[1].toLowerCase();
           if (CONFIG.providers[providerKey]) {
             // Show hint that Tab activates
@@ -1879,60 +3898,167 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
       if (isLLMMode) {
         e.stopPropagation();
         log("Paste event captured in LLM mode");
+        // Images on the clipboard attach to the next message instead of pasting as text
+        const images = [...(e.clipboardData?.files || [])].filter((file) => file.type.startsWith("image/"));
+        if (images.length) {
+          e.preventDefault();
+          attachImageFiles(images, urlbarInput);
+        }
       }
     }, true);
 
+    // Files dropped on the input attach to the next message (see attachFileDropHandlers)
+    attachFileDropHandlers(urlbarInput);
+
+    /**
+     * Send the LLM input (Enter): run a command, or post the message to the conversation.
+     * "@tabs" first opens the tab picker, which calls back here with the chosen `contextTabs`.
+     * `expanded` marks an already-expanded prompt template: it is sent as-is, never re-parsed
+     * as a template or command (a template body starting with "/" would loop or run commands).
+     */
+    const submitLlmQuery = (query, contextTabs = null, expanded = false) => {
+      urlbar.removeAttribute("llm-template-hint");
+      // "{temperature=0 seed=42} question" tunes sampling for this message only;
+      // "@page" / "@selection" / "@tabs" attach the current tab's article, selected text or picked tabs
+      const { text: unprefixed, params: generationOverride } = extractGenerationOverride(query);
+      // "/tldr", "/translate French": prompt templates expand, then go through here as typed text
+      const templateCall = expanded ? null : parsePromptTemplateCall(unprefixed);
+      if (templateCall) {
+        const overridePrefix = query.slice(0, query.length - unprefixed.length);
+        currentQuery = "";
+        urlbarInput.value = "";
+        inputValue = "";
+        expandPromptTemplate(templateCall).then((expansion) => {
+          if (expansion.error) {
+            displayConversationNote(expansion.error);
+            return;
+          }
+          log("Expanded prompt template:", templateCall.template.name);
+          submitLlmQuery(overridePrefix + expansion.text, contextTabs, true);
+        });
+        return;
+      }
+      const { text: mentionText, mentions: contextMentions } = extractContextMentions(unprefixed);
+      // "!web" / "!noweb" / "!site:host" decide the web search for this message
+      const { text: operatorText, search: searchDirective } = extractSearchOperators(mentionText);
+      const defaultMention = [...contextMentions].find((name) => MENTION_DEFAULT_PROMPTS[name]);
+      const prompt = operatorText.trim() || (defaultMention ? MENTION_DEFAULT_PROMPTS[defaultMention] : operatorText);
+      if (!expanded && query.trim() && tryRunLlmModeCommand(query, urlbar, urlbarInput)) {
+        currentQuery = "";
+        urlbarInput.value = "";
+        inputValue = "";
+      } else if (prompt.trim() && contextMentions.has("tabs") && !contextTabs) {
+        showContextTabPicker(urlbarInput, query, (tabs) => submitLlmQuery(query, tabs, expanded));
+      } else if (prompt.trim() && compareSession) {
+        currentQuery = "";
+        urlbarInput.value = "";
+        urlbarInput.setAttribute("placeholder", "Ask a follow-up...");
+        // Selection captured on activation and dropped files ride along with the next message
+        const initialContext = takePendingContext(contextMentions);
+        const userMessageDiv = displayUserMessage(prompt, initialContext);
+        if (searchDirective) {
+          displayConversationNote("Search operators (!web, !noweb, !site:) are ignored in compare mode");
+        }
+        sendCompareTurn(urlbar, prompt, {
+          generationOverride,
+          contextMentions,
+          contextTabs,
+          initialContext,
+          userMessageDiv
+        });
+      } else if (prompt.trim()) {
+        // If history list is visible, we're starting a new conversation (not opening one); clear list and session id
+        const wasShowingHistoryList = isShowingHistoryList();
+        if (wasShowingHistoryList) {
+          removeLlmHistoryRowsFromResults();
+          currentSessionId = null;
+          conversationHistory = [];
+          resetConversationContextSummary();
+        }
+
+        // Add user message to conversation; captured selection and dropped files ride along
+        const userEntry = {
+          role: "user",
+          content: prompt
+        };
+        const initialContext = takePendingContext(contextMentions);
+        if (initialContext.length) {
+          userEntry.context = initialContext;
+        }
+        if (searchDirective) {
+          userEntry.search = searchDirective;
+        }
+        conversationHistory.push(userEntry);
+        // Snapshot before any async work so blur/deactivate cannot wipe context mid-request
+        const historyForApi = snapshotConversationHistory();
+        
+        // Clear the input immediately after sending
+        currentQuery = "";
+        urlbarInput.value = "";
+        
+        // Update placeholder for follow-ups
+        urlbarInput.setAttribute("placeholder", "Ask a follow-up...");
+        
+        // Display user message and send to LLM
+        const userMessageDiv = displayUserMessage(prompt, initialContext, searchDirective);
+        // Reset history navigation when sending a new message
+        historyIndex = -1;
+        lastHistoryProviderKey = urlbar.getAttribute("llm-provider") || null;
+        sendToLLM(urlbar, urlbarInput, prompt, historyForApi, {
+          generationOverride,
+          contextMentions,
+          contextTabs,
+          searchDirective,
+          userEntry,
+          userMessageDiv
+        });
+      }
+    };
+
     // Listen for Tab key to activate
     urlbarInput.addEventListener("keydown", (e) => {
+      if (isLLMMode && handlePickerKeydown(e)) {
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+      }
       if (e.key === "Tab" && !isLLMMode) {
-        const match = inputValue.match(/^\/(\w+)(\s|$)/);
-        if (match) {
+        const compareTargets = parseCompareTargets(inputValue);
+        const match = inputValue.match(PROVIDER_ACTIVATION_PATTERN);
+        if (compareTargets) {
+          e.preventDefault();
+          e.stopPropagation();
+          activateCompareMode(urlbar, urlbarInput, compareTargets);
+        } else if (match) {
           e.preventDefault();
           e.stopPropagation();
           
           const providerKey = match[1].toLowerCase();
           if (CONFIG.providers[providerKey]) {
             activateLLMMode(urlbar, urlbarInput, providerKey);
+            if (match[2] === "") {
+              showModelPicker(providerKey, urlbar, urlbarInput);
+            } else if (match[2] && !setActivePersona(match[2], urlbar)) {
+              // "/provider:name" is a persona when one has that name, otherwise a model
+              setActiveModel(match[2]);
+            }
           }
         }
+      } else if (e.key === "Tab" && isLLMMode && !e.shiftKey) {
+        // "/tr" + Tab completes to the first matching prompt template
+        const completion = updatePromptTemplateHint(urlbar, urlbarInput.value);
+        if (completion) {
+          e.preventDefault();
+          e.stopPropagation();
+          urlbarInput.value = `/${completion} `;
+          currentQuery = inputValue = urlbarInput.value;
+          updatePromptTemplateHint(urlbar, urlbarInput.value);
+        }
       } else if (e.key === "Enter" && isLLMMode && !e.shiftKey) {
         e.preventDefault();
         e.stopPropagation();
-        
         // Send query to LLM (follow-up or new)
-        const query = currentQuery;
-        if (query.trim()) {
-          // If history list is visible, we're starting a new conversation (not opening one); clear list and session id
-          const wasShowingHistoryList = isShowingHistoryList();
-          if (wasShowingHistoryList) {
-            removeLlmHistoryRowsFromResults();
-            currentSessionId = null;
-            conversationHistory = [];
-            resetConversationContextSummary();
-          }
-
-          // Add user message to conversation
-          conversationHistory.push({
-            role: "user",
-            content: query
-          });
-          // Snapshot before any async work so blur/deactivate cannot wipe context mid-request
-          const historyForApi = snapshotConversationHistory();
-          
-          // Clear the input immediately after sending
-          currentQuery = "";
-          urlbarInput.value = "";
-          
-          // Update placeholder for follow-ups
-          urlbarInput.setAttribute("placeholder", "Ask a follow-up...");
-          
-          // Display user message and send to LLM
-          displayUserMessage(query);
-          // Reset history navigation when sending a new message
-          historyIndex = -1;
-          lastHistoryProviderKey = urlbar.getAttribute("llm-provider") || null;
-          sendToLLM(urlbar, urlbarInput, query, historyForApi);
-        }
+        submitLlmQuery(currentQuery);
       } else if (e.key === "Escape" && isLLMMode) {
         e.preventDefault();
         e.stopPropagation();
@@ -1949,6 +4075,26 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
       }
     }, true);
 
+    // Quick activation shortcut (default provider): window capture so it works from the page too
+    window.addEventListener(
+      "keydown",
+      (e) => {
+        if (!matchesQuickShortcut(e, parseQuickShortcut(getPref(QUICK_SHORTCUT_PREF, "Alt+Shift+Space")))) {
+          return;
+        }
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (isLLMMode) {
+          urlbarInput.focus();
+          return;
+        }
+        // Text already typed in the focused urlbar becomes the question; a displayed URL does not
+        const typed = document.activeElement === urlbarInput && window.gURLBar?.valueIsTyped ? urlbarInput.value : "";
+        quickActivateDefaultProvider(urlbar, urlbarInput, typed);
+      },
+      true
+    );
+
     // Alt+ArrowUp: window capture so history toggles while focus is on the conversation
     // (or copy buttons), not only on #urlbar-input — same as native shortcuts eating keydown.
     window.addEventListener(
@@ -1964,6 +4110,10 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
           dismissHistoryList(urlbar, urlbarInput);
           return;
         }
+        if (compareSession) {
+          log("Alt+ArrowUp: no stored sessions in compare mode");
+          return;
+        }
         const providerKey = urlbar.getAttribute("llm-provider");
         if (!providerKey) {
           log("Alt+ArrowUp: no providerKey on urlbar");
@@ -2018,8 +4168,8 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
         );
         
         const onHistoryRow =
-          (activeElement && activeElement.closest && activeElement.closest(`.urlbarView-row[${ATTR_LLM_HISTORY_ROW}]`)) ||
-          (relatedTarget && relatedTarget.closest && relatedTarget.closest(`.urlbarView-row[${ATTR_LLM_HISTORY_ROW}]`));
+          (activeElement && activeElement.closest && activeElement.closest(LLM_ROW_SELECTOR)) ||
+          (relatedTarget && relatedTarget.closest && relatedTarget.closest(LLM_ROW_SELECTOR));
 
         const clickedInsideLLM =
           (llmContainer &&
@@ -2056,7 +4206,7 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
             }
             const overLlmContent =
               document.querySelector(".llm-conversation-container:hover") ||
-              document.querySelector(`.urlbarView-row[${ATTR_LLM_HISTORY_ROW}]:hover`);
+              document.querySelector(`.urlbarView-row[${ATTR_LLM_HISTORY_ROW}]:hover, .urlbarView-row[${ATTR_LLM_PICKER_ROW}]:hover`);
             if (urlbarView.hidden && isLLMMode && !overLlmContent) {
               if (urlbar.hasAttribute("is-llm-thinking")) {
                 log("View hide ignored - LLM request in progress");
@@ -2086,7 +4236,7 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
             }
             const overLlmContent =
               document.querySelector(".llm-conversation-container:hover") ||
-              document.querySelector(`.urlbarView-row[${ATTR_LLM_HISTORY_ROW}]:hover`);
+              document.querySelector(`.urlbarView-row[${ATTR_LLM_HISTORY_ROW}]:hover, .urlbarView-row[${ATTR_LLM_PICKER_ROW}]:hover`);
             if (!overLlmContent) {
               if (urlbar.hasAttribute("is-llm-thinking")) {
                 log("Urlbar close ignored - LLM request in progress");
@@ -2798,8 +4948,8 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
   }
 
   /**
-   * Web search using DuckDuckGo HTML
-   * In Firefox chrome context, we have elevated privileges and can fetch directly
+   * Web search through the backends in SEARCH_BACKENDS (SearXNG, Brave, Tavily, Kagi, Ollama,
+   * DuckDuckGo HTML). In Firefox chrome context, we have elevated privileges and can fetch directly
    */
   
   // Search results cache (LRU-style with size limit)
@@ -2814,55 +4964,317 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
     searchCache.set(key, value);
   }
   
-  async function searchWeb(query, limit = LIMITS.MAX_SEARCH_RESULTS, providerKey = null) {
-    if (!isWebSearchEnabled()) {
+  /** `force` searches even with automatic web search turned off ("!web") */
+  async function searchWeb(query, limit = LIMITS.MAX_SEARCH_RESULTS, providerKey = null, { force = false } = {}) {
+    if (!force && !isWebSearchEnabled(providerKey)) {
       return null;
     }
 
     const startTime = Date.now();
     log('Searching for:', query);
     
+    const backends = getSearchBackendOrder(providerKey);
+
     // Check cache first
-    const cacheKey = `${query}:${limit}`;
+    const cacheKey = `${query}:${limit}:${backends.join(",")}`;
     const cached = searchCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < LIMITS.CACHE_TTL) {
       log('Using cached results for:', query);
       return cached.results;
     }
 
-    try {
-      const useOllamaSearch = providerKey === 'ollama' && hasOllamaWebSearchKey();
-      // Try Ollama Web Search API first (if API key is configured)
-      if (useOllamaSearch) {
-        const ollamaResults = await searchOllamaWeb(query, limit);
-        if (ollamaResults && ollamaResults.length > 0) {
-          cacheSet(cacheKey, { results: ollamaResults, timestamp: Date.now() });
-          log('Ollama web search completed in', Date.now() - startTime, 'ms, found', ollamaResults.length, 'results');
-          return ollamaResults;
+    for (const name of backends) {
+      try {
+        const results = await SEARCH_BACKENDS[name].search(query, limit);
+        if (results && results.length > 0) {
+          cacheSet(cacheKey, { results, timestamp: Date.now() });
+          log(SEARCH_BACKENDS[name].name, 'search completed in', Date.now() - startTime, 'ms, found', results.length, 'results');
+          return results;
         }
-        log('Ollama web search failed, falling back to DuckDuckGo...');
+        log(SEARCH_BACKENDS[name].name, 'search returned no results, trying next backend');
+      } catch (error) {
+        logError(SEARCH_BACKENDS[name].name, 'search failed:', error);
       }
+    }
 
-      // Try DuckDuckGo HTML search (direct fetch - works in chrome context)
-      const results = await searchDuckDuckGoDirect(query, limit);
-      
-      if (results && results.length > 0) {
-        // Cache results
-        cacheSet(cacheKey, { results, timestamp: Date.now() });
-        log('Search completed in', Date.now() - startTime, 'ms, found', results.length, 'results');
-        return results;
+    logWarn('All search backends failed:', backends.join(', ') || '(none configured)');
+    return null;
+  }
+  
+  
+  // ============================================
+  // Search backends (order set by the search-backends pref)
+  // ============================================
+
+  const SEARCH_BACKENDS_PREF = "extension.urlbar-llm.search-backends";
+
+  /**
+   * One entry per web search backend. `isConfigured()` says whether its URL/key prefs are set;
+   * `search(query, limit)` resolves to results `{ title, url, snippet, source, index }` or null.
+   * searchWeb tries the configured backends in pref order until one returns results.
+   */
+  const SEARCH_BACKENDS = {
+    ollama: {
+      name: "Ollama Web Search",
+      isConfigured: hasOllamaWebSearchKey,
+      search: searchOllamaWeb
+    },
+
+    /** Self-hosted SearXNG with the JSON output format enabled (`search.formats: [html, json]`) */
+    searxng: {
+      name: "SearXNG",
+      isConfigured: () => !!getSearxngSearchUrl(),
+      async search(query, limit) {
+        const url = new URL(getSearxngSearchUrl());
+        url.searchParams.set("q", query);
+        url.searchParams.set("format", "json");
+        const data = await fetchSearchBackendJson("SearXNG", url.href, { headers: { Accept: "application/json" } });
+        return normalizeSearchResults(
+          (data?.results || []).map((r) => ({ title: r.title, url: r.url, snippet: r.content })),
+          limit
+        );
       }
-      
-      logWarn('All search methods failed');
+    },
+
+    brave: {
+      name: "Brave Search",
+      isConfigured: () => !!getSearchBackendKey("brave"),
+      async search(query, limit) {
+        const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${Math.min(limit, 20)}`;
+        const data = await fetchSearchBackendJson("Brave", url, {
+          headers: { Accept: "application/json", "X-Subscription-Token": getSearchBackendKey("brave") }
+        });
+        return normalizeSearchResults(
+          (data?.web?.results || []).map((r) => ({ title: r.title, url: r.url, snippet: r.description })),
+          limit
+        );
+      }
+    },
+
+    tavily: {
+      name: "Tavily",
+      isConfigured: () => !!getSearchBackendKey("tavily"),
+      async search(query, limit) {
+        const data = await fetchSearchBackendJson("Tavily", "https://api.tavily.com/search", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${getSearchBackendKey("tavily")}` },
+          body: JSON.stringify({ query, max_results: Math.min(limit, 20) })
+        });
+        return normalizeSearchResults(
+          (data?.results || []).map((r) => ({ title: r.title, url: r.url, snippet: r.content })),
+          limit
+        );
+      }
+    },
+
+    kagi: {
+      name: "Kagi",
+      isConfigured: () => !!getSearchBackendKey("kagi"),
+      async search(query, limit) {
+        const url = `https://kagi.com/api/v0/search?q=${encodeURIComponent(query)}&limit=${limit}`;
+        const data = await fetchSearchBackendJson("Kagi", url, {
+          headers: { Authorization: `Bot ${getSearchBackendKey("kagi")}` }
+        });
+        // t: 0 = search result, t: 1 = related searches
+        return normalizeSearchResults(
+          (data?.data || []).filter((r) => r.t === 0).map((r) => ({ title: r.title, url: r.url, snippet: r.snippet })),
+          limit
+        );
+      }
+    },
+
+    /** HTML scraping; no key needed, but breaks when DuckDuckGo changes its markup */
+    duckduckgo: {
+      name: "DuckDuckGo",
+      isConfigured: () => true,
+      search: searchDuckDuckGoDirect
+    }
+  };
+
+  function getSearchBackendKey(name) {
+    return String(getPref(`extension.urlbar-llm.${name}-search-api-key`, "") || "").trim();
+  }
+
+  /** SearXNG search endpoint from the `searxng-url` pref ("http://host:8888" or ".../search") */
+  function getSearxngSearchUrl() {
+    const base = String(getPref("extension.urlbar-llm.searxng-url", "") || "").trim().replace(/\/+$/, "");
+    if (!base) {
+      return "";
+    }
+    return /\/search$/.test(base) ? base : `${base}/search`;
+  }
+
+  /**
+   * Backends to try for a search, in order. Without the pref: Ollama's API when talking to
+   * Ollama with a key, then DuckDuckGo. Unknown and unconfigured names are skipped.
+   */
+  function getSearchBackendOrder(providerKey) {
+    const raw = String(getPref(SEARCH_BACKENDS_PREF, "") || "").trim();
+    const names = raw
+      ? raw.split(/[\s,]+/).map((name) => name.toLowerCase()).filter(Boolean)
+      : providerKey === "ollama" ? ["ollama", "duckduckgo"] : ["duckduckgo"];
+    return [...new Set(names)].filter((name) => {
+      if (!SEARCH_BACKENDS[name]) {
+        logWarn("Unknown search backend in", SEARCH_BACKENDS_PREF + ":", name);
+        return false;
+      }
+      return SEARCH_BACKENDS[name].isConfigured();
+    });
+  }
+
+  /** GET/POST a backend's JSON API with the search timeout; null (logged) on any failure */
+  async function fetchSearchBackendJson(label, url, options = {}) {
+    try {
+      const response = await Promise.race([
+        fetch(url, options),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error(`${label} search timeout`)), LIMITS.SEARCH_BACKEND_TIMEOUT)
+        )
+      ]);
+      if (!response.ok) {
+        logWarn(label, "search HTTP error:", response.status);
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      logWarn(label, "search failed:", error.message);
       return null;
+    }
+  }
+
+  /** `{ title, url, snippet }` items from a backend as numbered results (null when none are usable) */
+  function normalizeSearchResults(items, limit) {
+    const results = [];
+    for (const item of items) {
+      if (results.length >= limit) {
+        break;
+      }
+      const url = String(item.url || "");
+      const title = String(item.title || "").trim();
+      if (!/^https?:/i.test(url) || !title || results.some((r) => r.url === url)) {
+        continue;
+      }
+      let source = "";
+      try {
+        source = new URL(url).hostname.replace(/^www\./, "");
+      } catch (e) {
+        continue;
+      }
+      results.push({ title, url, snippet: String(item.snippet || "").trim() || title, source, index: results.length + 1 });
+    }
+    return results.length ? results : null;
+  }
+
+  // ============================================
+  // Places search (the user's history and bookmarks as sources)
+  // ============================================
 
+  const PLACES_SEARCH_PREF = "extension.urlbar-llm.search-places";
+
+  /** Words that say nothing about which page was meant */
+  const PLACES_STOP_WORDS = new Set([
+    "the", "and", "for", "with", "what", "how", "why", "who", "when", "where", "which", "that", "this",
+    "from", "about", "are", "was", "les", "des", "une", "pour", "avec", "que", "qui", "est", "dans", "sur"
+  ]);
+
+  function isPlacesSearchEnabled() {
+    return getPref(PLACES_SEARCH_PREF, false);
+  }
+
+  /** Distinct words of a search query worth matching against titles and URLs (at most six) */
+  function getPlacesSearchTerms(query) {
+    const words = (query || "").toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+    return [...new Set(words.filter((word) => !PLACES_STOP_WORDS.has(word)))].slice(0, 6);
+  }
+
+  /**
+   * Pages from the browser's history and bookmarks whose title, URL or bookmark title match the
+   * query, best match first (then bookmarked, then frecency). Results carry `place`
+   * ("history" or "bookmark") so citations can say where they came from.
+   * @returns {Promise<Array<{ title, url, snippet, source, index, place }>|null>}
+   */
+  async function searchPlaces(query, limit = LIMITS.MAX_PLACES_RESULTS) {
+    const terms = getPlacesSearchTerms(query);
+    const places = window.PlacesUtils;
+    if (!terms.length || !places) {
+      return null;
+    }
+    // A page must match every term of a short query, half of a longer one
+    const minScore = terms.length <= 2 ? terms.length : Math.ceil(terms.length / 2);
+    const params = { minScore, limit, candidateLimit: LIMITS.PLACES_SEARCH_CANDIDATES };
+    const like = (column, i) => `${column} LIKE :term${i} ESCAPE '\\'`;
+    terms.forEach((term, i) => {
+      params[`term${i}`] = `%${term.replace(/[\\%_]/g, "\\$&")}%`;
+    });
+    // Rows matching any term (highest frecency first, capped) are grouped and scored; the rest
+    // of the history is never grouped or concatenated
+    const anyTerm = terms
+      .map((term, i) => `${like("h.title", i)} OR ${like("h.url", i)} OR ${like("b.title", i)}`)
+      .join(" OR ");
+    const score = terms.map((term, i) => `(${like("haystack", i)})`).join(" + ");
+
+    try {
+      const db = await places.promiseDBConnection();
+      const rows = await db.executeCached(
+        `WITH matches AS (
+           SELECT DISTINCT h.id, h.frecency
+           FROM moz_places h
+           LEFT JOIN moz_bookmarks b ON b.fk = h.id
+           WHERE h.hidden = 0 AND h.url LIKE 'http%' AND (h.last_visit_date NOT NULL OR b.id NOT NULL)
+             AND (${anyTerm})
+           ORDER BY h.frecency DESC
+           LIMIT :candidateLimit
+         ),
+         candidates AS (
+           SELECT h.url, h.title AS pageTitle, h.frecency,
+                  MAX(b.title) AS bookmarkTitle, COUNT(b.id) > 0 AS bookmarked,
+                  IFNULL(h.title, '') || ' ' || h.url || ' ' || IFNULL(GROUP_CONCAT(b.title, ' '), '') AS haystack
+           FROM matches m
+           JOIN moz_places h ON h.id = m.id
+           LEFT JOIN moz_bookmarks b ON b.fk = h.id
+           GROUP BY h.id
+         )
+         SELECT * FROM (SELECT *, ${score} AS score FROM candidates)
+         WHERE score >= :minScore
+         ORDER BY score DESC, bookmarked DESC, frecency DESC
+         LIMIT :limit`,
+        params
+      );
+      const results = rows.map((row, i) => {
+        const url = row.getResultByName("url");
+        const title = row.getResultByName("bookmarkTitle") || row.getResultByName("pageTitle") || url;
+        let source = "";
+        try {
+          source = new URL(url).hostname.replace(/^www\./, "");
+        } catch (e) {}
+        return {
+          title,
+          url,
+          snippet: title,
+          source,
+          index: i + 1,
+          place: row.getResultByName("bookmarked") ? "bookmark" : "history"
+        };
+      });
+      log("Places search found", results.length, "pages for:", terms.join(" "));
+      return results.length ? results : null;
     } catch (error) {
-      logError('Web search failed:', error);
+      logWarn("Places search failed:", error.message);
       return null;
     }
   }
-  
-  
+
+  /** History/bookmark results first, then web results not already among them, renumbered */
+  function mergeSearchResults(placeResults, webResults) {
+    const merged = [...(placeResults || [])];
+    for (const result of webResults || []) {
+      if (!merged.some((r) => r.url === result.url)) {
+        merged.push(result);
+      }
+    }
+    return merged.map((result, i) => ({ ...result, index: i + 1 }));
+  }
+
   /**
    * Direct DuckDuckGo search using XMLHttpRequest
    * XMLHttpRequest in chrome context bypasses CORS restrictions
@@ -3216,188 +5628,1166 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
           url = decodeURIComponent(match[1]);
         }
       }
-      // Handle kh= parameter (another DDG redirect format)
-      else if (url.includes('kh=') && url.includes('duckduckgo')) {
-        const match = url.match(/kh=([^&]+)/);
-        if (match) {
-          url = decodeURIComponent(match[1]);
-        }
+      // Handle kh= parameter (another DDG redirect format)
+      else if (url.includes('kh=') && url.includes('duckduckgo')) {
+        const match = url.match(/kh=([^&]+)/);
+        if (match) {
+          url = decodeURIComponent(match[1]);
+        }
+      }
+      
+      // Ensure URL is properly decoded
+      if (url.includes('%')) {
+        try {
+          url = decodeURIComponent(url);
+        } catch (e) {
+          // Already decoded or invalid
+        }
+      }
+    } catch (e) {
+      logWarn('Error cleaning URL:', e);
+    }
+    
+    return url;
+  }
+
+  /**
+   * Fetch a page and extract its main content: Mozilla Readability for HTML, the text layer for
+   * PDFs, pretty-printed JSON, plain text as is (see extractDocumentContent)
+   * @param {string} url - The URL to fetch
+   * @param {number} maxLength - Maximum content length to return
+   * @param {number} timeout - Timeout in ms (default 3500)
+   * @returns {Promise<string|null>} - Extracted text content or null
+   */
+  async function fetchPageContent(url, maxLength = LIMITS.MAX_PAGE_CONTENT_LENGTH, timeout = LIMITS.PAGE_FETCH_TIMEOUT) {
+    try {
+      // Use XMLHttpRequest in chrome context to bypass CORS (no third-party proxy needed).
+      // Bytes rather than text so PDFs survive; other types are decoded below.
+      const response = await new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.timeout = timeout;
+        xhr.responseType = 'arraybuffer';
+        xhr.onload = () => {
+          if (xhr.status === 200 && xhr.response && xhr.response.byteLength >= 100) {
+            resolve({ data: xhr.response, contentType: xhr.getResponseHeader('Content-Type') || '' });
+          } else {
+            resolve(null);
+          }
+        };
+        xhr.onerror = () => resolve(null);
+        xhr.ontimeout = () => resolve(null);
+        xhr.open('GET', url, true);
+        xhr.setRequestHeader(
+          'Accept',
+          'text/html,application/xhtml+xml,application/pdf;q=0.9,text/plain;q=0.8,application/json;q=0.8,*/*;q=0.5'
+        );
+        xhr.send();
+      });
+
+      if (!response) {
+        return null;
+      }
+
+      const { data, contentType } = response;
+      const type = detectDocumentType(contentType, url);
+      if (!type) {
+        return null;
+      }
+      if (type === 'pdf') {
+        return await extractDocumentContent({ url, contentType: 'application/pdf', data }, maxLength, url);
+      }
+      const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1] || 'utf-8';
+      let body;
+      try {
+        body = new TextDecoder(charset).decode(data);
+      } catch (e) {
+        body = new TextDecoder().decode(data); // Unknown charset label
+      }
+      const source = type === 'html' ? { url, contentType, html: body } : { url, contentType, text: body };
+      return await extractDocumentContent(source, maxLength, url);
+      
+    } catch (error) {
+      logWarn('Error fetching page:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Main text of a parsed document: Mozilla Readability first, simple extraction as fallback.
+   * @param {Document} doc - Parsed page (not modified)
+   * @param {number} maxLength - Maximum content length to return
+   * @param {string} label - URL for logging
+   * @returns {string|null}
+   */
+  function extractReadableContent(doc, maxLength, label = "") {
+    // Try Mozilla Readability first (if loaded)
+    if (ReadabilityClass) {
+      try {
+        // Clone the document as Readability modifies it
+        const docClone = doc.cloneNode(true);
+        const reader = new ReadabilityClass(docClone, {
+          charThreshold: 100
+        });
+        const article = reader.parse();
+        
+        if (article && article.textContent && article.textContent.length > 100) {
+          // Build the extracted content
+          let content = '';
+          if (article.title) {
+            content += `# ${article.title}\n\n`;
+          }
+          if (article.byline) {
+            content += `By: ${article.byline}\n\n`;
+          }
+          if (article.excerpt && article.excerpt.length > 50) {
+            content += `*${article.excerpt}*\n\n`;
+          }
+          // Use textContent for cleaner output (no HTML tags)
+          content += article.textContent;
+          
+          // Clean up and truncate
+          content = content
+            .replace(/\n{3,}/g, '\n\n')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+          
+          if (content.length > 100) {
+            log('Readability extracted', content.length, 'chars from:', label);
+            return content.length > maxLength 
+              ? content.substring(0, maxLength) + '...'
+              : content;
+          }
+        }
+      } catch (readabilityError) {
+        logWarn('Readability parsing failed:', readabilityError.message);
+      }
+    }
+    
+    // Fallback to simple extraction
+    return extractMainContentSimple(doc, maxLength);
+  }
+  
+  /**
+   * Simple fallback content extraction when Readability is unavailable or fails
+   */
+  function extractMainContentSimple(doc, maxLength = LIMITS.MAX_SIMPLE_CONTENT_LENGTH) {
+    try {
+      // If doc is a string (HTML), parse it first
+      if (typeof doc === 'string') {
+        const parser = new DOMParser();
+        doc = parser.parseFromString(doc, 'text/html');
+      }
+      
+      // Clone to avoid modifying original
+      const docClone = doc.cloneNode(true);
+      
+      // Remove unwanted elements
+      const removeSelectors = [
+        'script', 'style', 'noscript', 'nav', 'footer', 'header', 'aside', 
+        'form', '.ad', '.ads', '.sidebar', '.menu', '.nav', '.comment', '.comments',
+        '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]'
+      ];
+      for (const selector of removeSelectors) {
+        try {
+          docClone.querySelectorAll(selector).forEach(el => el.remove());
+        } catch (e) { }
+      }
+      
+      // Try to find main content area
+      const mainSelectors = ['article', 'main', '[role="main"]', '.content', '.article', '.post', '#content'];
+      let mainEl = null;
+      for (const selector of mainSelectors) {
+        mainEl = docClone.querySelector(selector);
+        if (mainEl && mainEl.textContent.trim().length > 200) break;
+        mainEl = null;
+      }
+      
+      const targetEl = mainEl || docClone.body;
+      if (!targetEl) return null;
+      
+      // Get text from paragraphs and headings
+      const elements = targetEl.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote');
+      const texts = [];
+      
+      for (const el of elements) {
+        const text = el.textContent.trim();
+        if (text.length > 20) {
+          if (/^H[1-6]$/.test(el.tagName)) {
+            texts.push(`## ${text}`);
+          } else {
+            texts.push(text);
+          }
+        }
+      }
+      
+      let content = texts.join('\n\n');
+      
+      // If we didn't get enough from structured elements, use all text
+      if (content.length < 200 && targetEl.textContent) {
+        content = targetEl.textContent
+          .replace(/\s+/g, ' ')
+          .trim();
+      }
+      
+      content = content.substring(0, maxLength);
+      return content.length > 50 ? content : null;
+      
+    } catch (e) {
+      logWarn('Simple extraction failed:', e.message);
+      return null;
+    }
+  }
+
+  // ============================================
+  // Content extraction (HTML, PDF, JSON, plain text)
+  // ============================================
+
+  /**
+   * Extractor for a document: "pdf", "json", "text" (plain text, XML, scripts, view-source),
+   * "html", or null for types without text (images, archives…). The MIME type wins; the URL's
+   * extension decides when the server sends a generic one, and only extensionless or html-like
+   * paths are read as HTML (a generic ".zip" or ".exe" is not).
+   */
+  function detectDocumentType(contentType, url = "") {
+    if (/^view-source:/i.test(url)) {
+      return "text";
+    }
+    const mime = (contentType || "").split(";")[0].trim().toLowerCase();
+    let path = "";
+    try {
+      path = new URL(url).pathname.toLowerCase();
+    } catch (e) {}
+    const generic = !mime || mime === "application/octet-stream" || mime === "binary/octet-stream";
+    if (mime === "application/pdf" || (generic && path.endsWith(".pdf"))) {
+      return "pdf";
+    }
+    if (mime === "application/json" || mime.endsWith("+json") || (generic && path.endsWith(".json"))) {
+      return "json";
+    }
+    const extension = path.match(/\.([a-z][a-z0-9]{0,4})$/)?.[1] || "";
+    if (
+      mime === "text/html" ||
+      mime === "application/xhtml+xml" ||
+      (generic && (!extension || /^(html?|xhtml|shtml|php|aspx?|jsp)$/.test(extension)))
+    ) {
+      return "html";
+    }
+    if (generic && /^(txt|md|csv|xml)$/.test(extension)) {
+      return "text";
+    }
+    if (mime.startsWith("text/") || /[/+]xml$/.test(mime) || mime.endsWith("/javascript")) {
+      return "text";
+    }
+    return null;
+  }
+
+  /** Normalize line breaks and blank runs of extracted text, then cap it at `maxLength`. */
+  function clipExtractedText(text, maxLength) {
+    const content = (text || "")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+    if (!content) {
+      return null;
+    }
+    return content.length > maxLength ? content.substring(0, maxLength) + "..." : content;
+  }
+
+  /**
+   * Per-type extractors. `source` is { url, contentType } plus `html` (HTML documents), `text`
+   * (anything read as text, including PDF text already pulled from a pdf.js tab) or `data`
+   * (PDF bytes).
+   */
+  const DOCUMENT_EXTRACTORS = {
+    html: (source, maxLength, label) => {
+      const doc = new DOMParser().parseFromString(source.html || "", "text/html");
+      return extractReadableContent(doc, maxLength, label);
+    },
+    pdf: async (source, maxLength) => {
+      const text = source.text || (source.data ? await extractPdfTextFromData(source.data, maxLength) : null);
+      return clipExtractedText(text, maxLength);
+    },
+    json: (source, maxLength) => {
+      let text = source.text || "";
+      try {
+        text = JSON.stringify(JSON.parse(text), null, 2);
+      } catch (e) {
+        // Not valid JSON (JSONP, truncated…): keep it as plain text
+      }
+      return clipExtractedText(text, maxLength);
+    },
+    text: (source, maxLength) => clipExtractedText(source.text, maxLength)
+  };
+
+  /**
+   * Main text of a document of any supported type (see DOCUMENT_EXTRACTORS).
+   * @returns {Promise<string|null>}
+   */
+  async function extractDocumentContent(source, maxLength, label = "") {
+    const type = detectDocumentType(source.contentType, source.url || label);
+    if (!type) {
+      log("No text to extract from", source.contentType, "document:", label);
+      return null;
+    }
+    try {
+      const content = await DOCUMENT_EXTRACTORS[type](source, maxLength, label);
+      if (content && type !== "html") {
+        log("Extracted", content.length, `chars (${type}) from:`, label);
+      }
+      return content || null;
+    } catch (e) {
+      logWarn(`Could not extract ${type} content from`, label, ":", e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Text layer of a pdf.js document, page by page, until `maxLength` characters. Self-contained:
+   * it also runs inside the page snapshot frame script against the tab's own viewer.
+   */
+  async function readPdfDocumentText(pdf, maxLength) {
+    const pages = [];
+    let length = 0;
+    for (let number = 1; number <= pdf.numPages && length < maxLength; number++) {
+      const page = await pdf.getPage(number);
+      const textContent = await page.getTextContent();
+      let text = "";
+      for (const item of textContent.items) {
+        text += (item.str || "") + (item.hasEOL ? "\n" : "");
+      }
+      text = text.trim();
+      if (text) {
+        pages.push(`[Page ${number}]\n${text}`);
+        length += text.length;
+      }
+    }
+    return pages.length ? pages.join("\n\n") : null;
+  }
+
+  /** Firefox's bundled pdf.js, loaded on first use for fetched PDFs (null if unavailable) */
+  let pdfjsLibPromise = null;
+
+  function loadPdfjsLib() {
+    if (!pdfjsLibPromise) {
+      pdfjsLibPromise = import("resource://pdf.js/build/pdf.mjs")
+        .then((lib) => {
+          lib.GlobalWorkerOptions.workerSrc = "resource://pdf.js/build/pdf.worker.mjs";
+          log("Loaded pdf.js for PDF extraction");
+          return lib;
+        })
+        .catch((e) => {
+          logWarn("Could not load pdf.js, fetched PDFs will be skipped:", e.message);
+          return null;
+        });
+    }
+    return pdfjsLibPromise;
+  }
+
+  /** Text layer of PDF bytes fetched from a search result or a tab that could not be snapshotted */
+  async function extractPdfTextFromData(data, maxLength) {
+    const pdfjsLib = await loadPdfjsLib();
+    if (!pdfjsLib) {
+      return null;
+    }
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(data), isEvalSupported: false }).promise;
+    try {
+      return await readPdfDocumentText(pdf, maxLength);
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  // ============================================
+  // Per-message search operators (!web, !noweb, !site:host)
+  // ============================================
+
+  /** "!web", "!noweb" or "!site:host" as separate words; [2] = operator, [3] = site */
+  const SEARCH_OPERATOR_PATTERN = /(^|\s)!(web|noweb|site:(\S+))(?=\s|$)/gi;
+
+  /**
+   * Split search operators off a message. `search` is null when there were none, otherwise
+   * `{ mode: "force" | "skip", sites: string[] }`: "!web" and "!site:" force a search (restricted
+   * to the sites), "!noweb" skips it and wins over the others.
+   */
+  function extractSearchOperators(text) {
+    let force = false;
+    let skip = false;
+    const sites = [];
+    const stripped = (text || "").replace(SEARCH_OPERATOR_PATTERN, (match, lead, operator, site) => {
+      const name = operator.toLowerCase();
+      if (name === "noweb") {
+        skip = true;
+      } else if (name === "web") {
+        force = true;
+      } else {
+        const host = site.replace(/^[a-z][\w+.-]*:\/\//i, "").replace(/\/.*$/, "").toLowerCase();
+        if (host && !sites.includes(host)) {
+          sites.push(host);
+        }
+        force = true;
+      }
+      return lead;
+    });
+    if (!force && !skip) {
+      return { text, search: null };
+    }
+    return {
+      text: stripped.replace(/\s{2,}/g, " ").trim(),
+      search: skip ? { mode: "skip", sites: [] } : { mode: "force", sites }
+    };
+  }
+
+  /** Search engine query restricted to `sites` ("q site:a" or "q (site:a OR site:b)") */
+  function restrictSearchQueryToSites(query, sites) {
+    if (!sites?.length) {
+      return query;
+    }
+    const operators = sites.map((site) => `site:${site}`);
+    return `${query} ${operators.length === 1 ? operators[0] : `(${operators.join(" OR ")})`}`;
+  }
+
+  /** True when `url` is on one of `domains` or a subdomain of one */
+  function urlMatchesDomains(url, domains) {
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /** Drop results outside `sites` (subdomains count), for backends that ignore "site:" */
+  function filterSearchResultsToSites(results, sites) {
+    if (!results || !sites?.length) {
+      return results;
+    }
+    return results.filter((result) => urlMatchesDomains(result.url, sites));
+  }
+
+  const BLOCKED_DOMAINS_PREF = "extension.urlbar-llm.blocked-domains";
+  const PREFERRED_DOMAINS_PREF = "extension.urlbar-llm.preferred-domains";
+
+  /** Domains from a comma/space-separated pref ("https://www.x.com/", "*.x.com" → "x.com") */
+  function readDomainListPref(name) {
+    return String(getPref(name, "") || "")
+      .split(/[\s,]+/)
+      .map((entry) =>
+        entry
+          .replace(/^[a-z][\w+.-]*:\/\//i, "")
+          .replace(/\/.*$/, "")
+          .replace(/^\*\.|^www\./, "")
+          .toLowerCase()
+      )
+      .filter(Boolean);
+  }
+
+  /**
+   * Apply the user's source preferences to search results before any page is read: hits on
+   * blocked domains are dropped, hits on preferred domains move to the front (order is kept
+   * otherwise), and the rest are renumbered.
+   */
+  function rankSearchResults(results) {
+    if (!results?.length) {
+      return results;
+    }
+    const blocked = readDomainListPref(BLOCKED_DOMAINS_PREF);
+    const preferred = readDomainListPref(PREFERRED_DOMAINS_PREF);
+    if (!blocked.length && !preferred.length) {
+      return results;
+    }
+    const kept = results.filter((result) => !urlMatchesDomains(result.url, blocked));
+    if (kept.length < results.length) {
+      log("Dropped", results.length - kept.length, "search results on blocked domains");
+    }
+    const ranked = [
+      ...kept.filter((result) => urlMatchesDomains(result.url, preferred)),
+      ...kept.filter((result) => !urlMatchesDomains(result.url, preferred))
+    ];
+    return ranked.map((result, i) => ({ ...result, index: i + 1 }));
+  }
+
+  /** Hits to ask the backend for: extra ones when blocked/preferred domains may reorder or drop some */
+  function getSearchCandidateCount() {
+    const ranking = readDomainListPref(BLOCKED_DOMAINS_PREF).length || readDomainListPref(PREFERRED_DOMAINS_PREF).length;
+    return ranking ? LIMITS.RANKED_SEARCH_CANDIDATES : LIMITS.MAX_SEARCH_RESULTS;
+  }
+
+  /** Chip under a user message that used search operators ("Web search", "Search: host") */
+  function renderSearchDirectiveChip(messageDiv, search) {
+    if (!messageDiv || !search) {
+      return;
+    }
+    messageDiv.querySelector(":scope > .llm-search-directive")?.remove();
+    const row = document.createElement("div");
+    row.className = "llm-search-directive";
+    const chip = document.createElement("span");
+    chip.className = "llm-context-chip";
+    chip.setAttribute("kind", "search");
+    chip.textContent =
+      search.mode === "skip" ? "No web search" : search.sites?.length ? `Search: ${search.sites.join(", ")}` : "Web search";
+    row.appendChild(chip);
+    messageDiv.appendChild(row);
+  }
+
+  // ============================================
+  // Conversation context (@page, @selection, @tabs)
+  // ============================================
+
+  /**
+   * "@page" attaches the selected tab's article to that turn, "@selection" quotes the text
+   * selected in it, "@tabs" opens a picker and attaches the chosen tabs as numbered sources.
+   */
+  const CONTEXT_MENTION_PATTERN = /(^|\s)@(page|selection|tabs)(?=\s|$)/gi;
+
+  /** Sent when a message is only a mention */
+  const MENTION_DEFAULT_PROMPTS = {
+    page: "Summarize this page.",
+    selection: "Explain this.",
+    tabs: "Compare these pages."
+  };
+
+  /** Context item kind each mention resolves to, and the note shown when it resolves to nothing */
+  const CONTEXT_MENTION_KINDS = {
+    page: { kind: "page", missing: "Could not read the current page" },
+    selection: { kind: "selection", missing: "Nothing is selected in the current tab" },
+    tabs: { kind: "tab", missing: "Could not read the chosen tabs" }
+  };
+
+  /** Quote the tab's selection into the next message when LLM mode is activated */
+  const AUTO_QUOTE_SELECTION_PREF = "extension.urlbar-llm.auto-quote-selection";
+
+  const PAGE_SNAPSHOT_MESSAGE = "UrlbarLLM:PageSnapshot";
+
+  /**
+   * Runs as a frame script in the tab's content process (`content`, `sendAsyncMessage` are
+   * frame-script globals) and posts back the selected text and, when asked, the document:
+   * HTML for web pages, text for plain-text/JSON/view-source tabs, and the text layer of every
+   * page for the pdf.js viewer (`readPdfText` is readPdfDocumentText, passed in as source).
+   */
+  function pageSnapshotFrameScript(requestId, messageName, includeDocument, maxLength, readPdfText) {
+    let data = { requestId, html: null, text: null, selection: "" };
+    const send = () => sendAsyncMessage(messageName, data);
+    try {
+      const doc = content.document;
+      // Selections inside text fields are not part of window.getSelection()
+      const field = doc.activeElement;
+      const fieldSelection =
+        field && typeof field.selectionStart === "number" && field.selectionEnd > field.selectionStart
+          ? field.value.slice(field.selectionStart, field.selectionEnd)
+          : "";
+      const pdfViewer = content.wrappedJSObject && content.wrappedJSObject.PDFViewerApplication;
+      data = {
+        requestId,
+        url: doc.URL,
+        title: doc.title,
+        contentType: pdfViewer ? "application/pdf" : doc.contentType,
+        html: null,
+        text: null,
+        selection: fieldSelection || String(content.getSelection() || "")
+      };
+      if (includeDocument && pdfViewer && pdfViewer.pdfDocument) {
+        readPdfText(pdfViewer.pdfDocument, maxLength).then(
+          (text) => {
+            data.text = text;
+            send();
+          },
+          () => send()
+        );
+        return;
+      }
+      if (includeDocument && doc.documentElement) {
+        if (/html|xml/i.test(doc.contentType) && !/^view-source:/i.test(doc.URL)) {
+          data.html = doc.documentElement.outerHTML;
+        } else {
+          data.text = (doc.body || doc.documentElement).textContent;
+        }
+      }
+    } catch (e) {}
+    send();
+  }
+
+  /**
+   * Page as the user sees it, serialized in its own process: the HTML includes logged-in and
+   * script-rendered content that a refetch from here would miss. Resolves null on timeout.
+   * @returns {Promise<{ url: string, title: string, contentType: string, html: string|null, text: string|null, selection: string }|null>}
+   */
+  function snapshotTabDocument(
+    browser,
+    { includeDocument = true, maxLength = LIMITS.PAGE_CONTEXT_MAX_LENGTH, timeout = LIMITS.PAGE_SNAPSHOT_TIMEOUT } = {}
+  ) {
+    if (!browser) {
+      return Promise.resolve(null);
+    }
+    // Parent-process pages (about:, chrome) expose their document directly
+    if (!browser.isRemoteBrowser && browser.contentDocument?.documentElement) {
+      const doc = browser.contentDocument;
+      return Promise.resolve({
+        url: doc.URL,
+        title: doc.title,
+        contentType: doc.contentType,
+        html: includeDocument ? doc.documentElement.outerHTML : null,
+        text: null,
+        selection: String(browser.contentWindow?.getSelection() || "")
+      });
+    }
+    const mm = browser.messageManager;
+    if (!mm) {
+      return Promise.resolve(null);
+    }
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    return new Promise((resolve) => {
+      let timer = null;
+      const listener = (message) => {
+        if (message.data?.requestId === requestId) {
+          finish(message.data);
+        }
+      };
+      const finish = (result) => {
+        clearTimeout(timer);
+        mm.removeMessageListener(PAGE_SNAPSHOT_MESSAGE, listener);
+        resolve(result);
+      };
+      timer = setTimeout(() => {
+        logWarn("Page snapshot timed out");
+        finish(null);
+      }, timeout);
+      mm.addMessageListener(PAGE_SNAPSHOT_MESSAGE, listener);
+      try {
+        const args = [requestId, PAGE_SNAPSHOT_MESSAGE, includeDocument, maxLength]
+          .map((arg) => JSON.stringify(arg))
+          .join(", ");
+        const script = `(${pageSnapshotFrameScript.toString()})(${args}, ${readPdfDocumentText.toString()});`;
+        mm.loadFrameScript("data:application/javascript;charset=utf-8," + encodeURIComponent(script), false);
+      } catch (e) {
+        logWarn("Could not snapshot page:", e.message);
+        finish(null);
+      }
+    });
+  }
+
+  /**
+   * Article of a tab (or text of its PDF, JSON, … document). Falls back to refetching the URL
+   * when the live DOM is unavailable (unloaded tab, snapshot timeout); the chrome-side request
+   * still reaches intranet hosts.
+   * @returns {Promise<{ title: string, url: string, content: string }|null>}
+   */
+  async function readTabContent(tab, maxLength) {
+    const browser = tab?.linkedBrowser;
+    const url = browser?.currentURI?.spec || "";
+    const likelyPdf = browser?.documentContentType === "application/pdf" || /\.pdf(?:[?#]|$)/i.test(url);
+    const timeout = likelyPdf ? LIMITS.PDF_SNAPSHOT_TIMEOUT : LIMITS.PAGE_SNAPSHOT_TIMEOUT;
+    // Tabs restored lazily have no document until they are selected
+    const snapshot = tab?.hasAttribute("pending") ? null : await snapshotTabDocument(browser, { maxLength, timeout });
+    let content = null;
+    if (snapshot?.html || snapshot?.text) {
+      content = await extractDocumentContent(snapshot, maxLength, url);
+    }
+    if (!content && /^https?:/i.test(url)) {
+      content = await fetchPageContent(url, maxLength);
+    }
+    if (!content) {
+      logWarn("Could not read tab:", url);
+      return null;
+    }
+    return { title: snapshot?.title || tab?.label || url, url, content };
+  }
+
+  /**
+   * Article of the selected tab as a context item.
+   * @returns {Promise<{ kind: "page", title: string, url: string, content: string }|null>}
+   */
+  async function readCurrentPageContext() {
+    const page = await readTabContent(getCurrentTab(), LIMITS.PAGE_CONTEXT_MAX_LENGTH);
+    return page && { kind: "page", ...page };
+  }
+
+  /**
+   * Articles of the tabs picked for "@tabs", numbered in pick order so answers can cite them
+   * as [1], [2], … (unreadable tabs are left out and do not take a number).
+   * @returns {Promise<Array<{ kind: "tab", index: number, title: string, url: string, content: string }>>}
+   */
+  async function readTabsContext(tabs) {
+    if (!tabs?.length) {
+      return [];
+    }
+    const maxLength = Math.min(
+      LIMITS.PAGE_CONTEXT_MAX_LENGTH,
+      Math.floor(LIMITS.TABS_CONTEXT_MAX_LENGTH / tabs.length)
+    );
+    const pages = await Promise.all(tabs.map((tab) => readTabContent(tab, maxLength)));
+    return pages.filter(Boolean).map((page, i) => ({ kind: "tab", index: i + 1, ...page }));
+  }
+
+  /**
+   * Citation sources for the tabs attached to a message, in the shape web search sources use;
+   * `tab` makes citation clicks switch to the open tab.
+   */
+  function getContextCitationSources(context) {
+    return (context || [])
+      .filter((item) => item.kind === "tab")
+      .map((item) => {
+        let source = "";
+        try {
+          source = new URL(item.url).hostname.replace(/^www\./, "");
+        } catch (e) {}
+        return { title: item.title, url: item.url, source, index: item.index, tab: true };
+      });
+  }
+
+  /**
+   * "@tabs": pick the open tabs to attach. The message is parked while the input filters the
+   * list; `onConfirm(tabs)` sends it, Escape puts it back in the input.
+   */
+  function showContextTabPicker(urlbarInput, query, onConfirm) {
+    const topWindow = window.top || window;
+    const browser = topWindow.gBrowser || window.gBrowser;
+    const urlOf = (tab) => tab.linkedBrowser?.currentURI?.spec || "";
+    const items = [...(browser?.visibleTabs || [])]
+      .filter((tab) => /^(https?|file):/i.test(urlOf(tab)))
+      .map((tab) => ({
+        value: urlOf(tab),
+        title: tab.label || urlOf(tab),
+        subtitle: tab.selected ? `Current tab · ${urlOf(tab)}` : urlOf(tab),
+        iconSrc: tab.image || undefined,
+        tab
+      }));
+    if (!items.length) {
+      displayConversationNote("No open web pages to attach");
+      return;
+    }
+    const restoreInput = () => {
+      urlbarInput.value = query;
+      currentQuery = query;
+      urlbarInput.setAttribute(
+        "placeholder",
+        conversationHistory.length > 0 ? "Ask a follow-up..." : "Ask anything..."
+      );
+      urlbarInput.focus();
+    };
+    const shown = showUrlbarPicker(items, (picked) => {
+      restoreInput();
+      onConfirm(picked.map((item) => item.tab));
+    }, { multiple: true, onCancel: restoreInput });
+    if (shown) {
+      urlbarInput.value = "";
+      currentQuery = "";
+      urlbarInput.setAttribute("placeholder", "Pick tabs: Tab to check, Enter to send (type to filter)...");
+      urlbarInput.focus();
+    }
+  }
+
+  /** Select the open tab showing `url`. Returns false when no tab shows it anymore. */
+  function selectOpenTabByUrl(url) {
+    const topWindow = window.top || window;
+    const browser = topWindow.gBrowser || window.gBrowser;
+    const tab = browser?.tabs && [...browser.tabs].find((t) => t.linkedBrowser?.currentURI?.spec === url);
+    if (!tab) {
+      return false;
+    }
+    browser.selectedTab = tab;
+    return true;
+  }
+
+  /**
+   * Text selected in the current tab as a context item, or null when nothing is selected.
+   * @returns {Promise<{ kind: "selection", title: string, url: string, content: string }|null>}
+   */
+  async function readCurrentSelectionContext() {
+    const tab = getCurrentTab();
+    const snapshot = await snapshotTabDocument(tab?.linkedBrowser, { includeDocument: false });
+    const text = (snapshot?.selection || "").trim();
+    if (!text) {
+      return null;
+    }
+    return {
+      kind: "selection",
+      title: snapshot.title || tab?.label || snapshot.url,
+      url: snapshot.url,
+      content:
+        text.length > LIMITS.SELECTION_CONTEXT_MAX_LENGTH
+          ? text.slice(0, LIMITS.SELECTION_CONTEXT_MAX_LENGTH) + "..."
+          : text
+    };
+  }
+
+  /**
+   * Strip "@page" / "@selection" from a message.
+   * @returns {{ text: string, mentions: Set<string> }}
+   */
+  function extractContextMentions(text) {
+    const mentions = new Set();
+    const stripped = (text || "").replace(CONTEXT_MENTION_PATTERN, (match, lead, name) => {
+      mentions.add(name.toLowerCase());
+      return lead;
+    });
+    return { text: mentions.size ? stripped.replace(/\s{2,}/g, " ").trim() : text, mentions };
+  }
+
+  /**
+   * Context items for the mentions of one message (unreadable sources are left out).
+   * `tabs` are the tabs picked for "@tabs".
+   */
+  async function resolveContextMentions(mentions, { tabs = [] } = {}) {
+    const context = [];
+    if (mentions.has("selection")) {
+      const selection = await readCurrentSelectionContext();
+      if (selection) {
+        context.push(selection);
+      }
+    }
+    if (mentions.has("page")) {
+      const page = await readCurrentPageContext();
+      if (page) {
+        context.push(page);
+      }
+    }
+    if (mentions.has("tabs")) {
+      context.push(...(await readTabsContext(tabs)));
+    }
+    return context;
+  }
+
+  /** Note for the mentions of a message that resolved to nothing, or null when all were read. */
+  function describeMissingContext(mentions, context) {
+    const missing = [...mentions]
+      .map((name) => CONTEXT_MENTION_KINDS[name])
+      .filter((entry) => entry && !context.some((item) => item.kind === entry.kind));
+    return missing.length ? missing.map((entry) => entry.missing).join("; ") : null;
+  }
+
+  /** Status line while the context of a message is read */
+  function describeContextReading(mentions) {
+    return mentions.has("tabs") ? "Reading tabs..." : mentions.has("page") ? "Reading page..." : "Reading selection...";
+  }
+
+  /**
+   * System block for the context attached to a user turn, in the same tagged style as
+   * formatSearchResultsForLLM.
+   */
+  function formatContextForLLM(context) {
+    const attr = (value) => String(value || "").replace(/"/g, "'");
+    const blocks = [];
+    const pages = context.filter((item) => item.kind === "page");
+    if (pages.length) {
+      blocks.push(`<current-page>
+${pages.map((item) => `<page url="${attr(item.url)}" title="${attr(item.title)}">
+${item.content}
+</page>`).join("\n\n")}
+</current-page>`);
+    }
+    const tabs = context.filter((item) => item.kind === "tab");
+    if (tabs.length) {
+      blocks.push(`<browser-tabs>
+${tabs.map((item) => `<source id="[${item.index}]" url="${attr(item.url)}" title="${attr(item.title)}">
+${item.content}
+</source>`).join("\n\n")}
+</browser-tabs>
+
+Cite facts from these tabs with the source number in brackets, like [1] or [1][2], placed at the end of the sentence. Do not write out URLs.`);
+    }
+    for (const item of context.filter((item) => item.kind === "file")) {
+      // Fence longer than any backtick run in the file so its own code blocks stay intact
+      const longestRun = Math.max(2, ...(item.content.match(/`+/g) || []).map((run) => run.length));
+      const fence = "`".repeat(longestRun + 1);
+      blocks.push(`<attached-file name="${attr(item.title)}"${item.truncated ? ' truncated="true"' : ""}>
+${fence}${item.language || ""}
+${item.content.replace(/\n$/, "")}
+${fence}
+</attached-file>`);
+    }
+    for (const item of context.filter((item) => item.kind === "selection")) {
+      blocks.push(`<quoted-selection url="${attr(item.url)}" page="${attr(item.title)}">
+${item.content}
+</quoted-selection>`);
+    }
+    if (!blocks.length) {
+      return null;
+    }
+    return `The next message is about material the user shared: the page they are reading, tabs they have open, files they attached and/or text they selected and quoted. Treat it as the primary source for that message; say so when the answer is not in it.
+
+${blocks.join("\n\n")}`;
+  }
+
+  /** Selection captured when LLM mode was activated; quoted into the next message sent. */
+  let pendingSelectionQuote = null;
+
+  /**
+   * Read the tab's selection as LLM mode opens and, if there is one, queue it for the next
+   * message (see AUTO_QUOTE_SELECTION_PREF).
+   */
+  async function captureSelectionForNextMessage(urlbarInput) {
+    pendingSelectionQuote = null;
+    if (!getPref(AUTO_QUOTE_SELECTION_PREF, true)) {
+      return;
+    }
+    const selection = await readCurrentSelectionContext();
+    if (!selection || !isLLMMode) {
+      return;
+    }
+    pendingSelectionQuote = selection;
+    urlbarInput.setAttribute("placeholder", "Ask about the selection...");
+    displayConversationNote(`Quoting ${selection.content.length.toLocaleString()} selected characters in your next message`);
+    log("Queued selection quote:", selection.content.length, "chars from", selection.url);
+  }
+
+  /**
+   * Hand the queued selection and dropped files to the message being sent (once), as its
+   * initial context. An explicit @selection in the same message is dropped since it would read
+   * the same text.
+   */
+  function takePendingContext(contextMentions) {
+    const context = [];
+    if (pendingSelectionQuote) {
+      context.push(pendingSelectionQuote);
+      contextMentions.delete("selection");
+    }
+    context.push(...pendingAttachments);
+    pendingSelectionQuote = null;
+    pendingAttachments = [];
+    return context;
+  }
+
+  // ============================================
+  // File attachments (drag and drop onto the conversation or the LLM input)
+  // ============================================
+
+  /** Extensions read as text attachments, with the code fence language they are sent under */
+  const ATTACHMENT_LANGUAGES = {
+    txt: "", log: "", conf: "", env: "",
+    md: "markdown", markdown: "markdown", csv: "csv", tsv: "tsv", json: "json", jsonl: "json",
+    js: "javascript", mjs: "javascript", cjs: "javascript", jsx: "jsx", ts: "typescript", tsx: "tsx",
+    py: "python", rb: "ruby", go: "go", rs: "rust", java: "java", kt: "kotlin", swift: "swift",
+    c: "c", h: "c", cc: "cpp", cpp: "cpp", hpp: "cpp", cs: "csharp", php: "php", lua: "lua", r: "r",
+    sh: "bash", bash: "bash", zsh: "bash", ps1: "powershell", sql: "sql",
+    html: "html", htm: "html", css: "css", scss: "scss", vue: "vue", svelte: "svelte",
+    xml: "xml", svg: "xml", yaml: "yaml", yml: "yaml", toml: "toml", ini: "ini", cfg: "ini"
+  };
+
+  /** Files dropped since the last message; sent with the next one (see takePendingContext). */
+  let pendingAttachments = [];
+
+  /** Fence language for a dropped file, or null when it is not read as text. */
+  function getAttachmentLanguage(file) {
+    const extension = /\.([^./]+)$/.exec(file.name.toLowerCase())?.[1];
+    if (extension && extension in ATTACHMENT_LANGUAGES) {
+      return ATTACHMENT_LANGUAGES[extension];
+    }
+    if (file.type.startsWith("text/")) {
+      return "";
+    }
+    return file.type === "application/json" ? "json" : null;
+  }
+
+  /** Characters the files of one message may add, as a share of getContextCharBudget(). */
+  function getAttachmentCharBudget() {
+    return Math.floor(getContextCharBudget() * LIMITS.ATTACHMENT_BUDGET_SHARE);
+  }
+
+  function formatFileSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(bytes < 10 * 1024 ? 1 : 0)} KB`;
+  }
+
+  /**
+   * Read dropped files into `pendingAttachments`. Files past the attachment budget are cut
+   * (and marked `truncated`); binary, oversized or unsupported files are reported and skipped.
+   */
+  async function attachDroppedFiles(files, urlbarInput) {
+    const images = files.filter((file) => file.type.startsWith("image/"));
+    if (images.length) {
+      await attachImageFiles(images, urlbarInput);
+      files = files.filter((file) => !images.includes(file));
+      if (!files.length) {
+        return;
+      }
+    }
+    let remaining =
+      getAttachmentCharBudget() - pendingAttachments.reduce((n, item) => n + (item.content || "").length, 0);
+    const added = [];
+    const skipped = [];
+    for (const file of files) {
+      const language = getAttachmentLanguage(file);
+      if (language === null) {
+        skipped.push(`${file.name} (not a text file)`);
+        continue;
       }
-      
-      // Ensure URL is properly decoded
-      if (url.includes('%')) {
-        try {
-          url = decodeURIComponent(url);
-        } catch (e) {
-          // Already decoded or invalid
-        }
+      if (file.size > LIMITS.ATTACHMENT_MAX_FILE_SIZE) {
+        skipped.push(`${file.name} (larger than ${formatFileSize(LIMITS.ATTACHMENT_MAX_FILE_SIZE)})`);
+        continue;
       }
-    } catch (e) {
-      logWarn('Error cleaning URL:', e);
+      if (remaining <= 0) {
+        skipped.push(`${file.name} (context budget full)`);
+        continue;
+      }
+      let content;
+      try {
+        content = await file.text();
+      } catch (e) {
+        logWarn("Could not read dropped file:", file.name, e.message);
+        skipped.push(`${file.name} (unreadable)`);
+        continue;
+      }
+      if (content.includes("\u0000")) {
+        skipped.push(`${file.name} (not a text file)`);
+        continue;
+      }
+      const item = { kind: "file", title: file.name, language, size: file.size, content };
+      if (content.length > remaining) {
+        item.content = content.slice(0, remaining);
+        item.truncated = true;
+      }
+      remaining -= item.content.length;
+      pendingAttachments.push(item);
+      added.push(item);
+    }
+    if (!isLLMMode) {
+      pendingAttachments = [];
+      return;
+    }
+    if (added.length) {
+      const names = added
+        .map((item) => `${item.title} (${formatFileSize(item.size)}${item.truncated ? ", truncated" : ""})`)
+        .join(", ");
+      displayConversationNote(`Attached ${names} — sent with your next message`);
+      urlbarInput?.setAttribute("placeholder", "Ask about the attached files...");
+      log("Attached", added.length, "dropped files");
+    }
+    if (skipped.length) {
+      displayConversationNote(`Not attached: ${skipped.join(", ")}`);
     }
-    
-    return url;
   }
 
+  // ============================================
+  // Image input (pasted/dropped images, /screenshot) for vision models
+  // ============================================
+
   /**
-   * Fetch and extract main content from a webpage using Mozilla Readability
-   * @param {string} url - The URL to fetch
-   * @param {number} maxLength - Maximum content length to return
-   * @param {number} timeout - Timeout in ms (default 3500)
-   * @returns {Promise<string|null>} - Extracted text content or null
+   * Scale an image so its longest side fits IMAGE_MAX_DIMENSION and encode it as a JPEG data URL
+   * (white background, since JPEG has no transparency).
+   * @param {ImageBitmap} bitmap
    */
-  async function fetchPageContent(url, maxLength = LIMITS.MAX_PAGE_CONTENT_LENGTH, timeout = LIMITS.PAGE_FETCH_TIMEOUT) {
-    try {
-      // Use XMLHttpRequest in chrome context to bypass CORS (no third-party proxy needed)
-      const html = await new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-        xhr.timeout = timeout;
-        xhr.onload = () => {
-          if (xhr.status === 200 && xhr.responseText && xhr.responseText.length >= 100) {
-            resolve(xhr.responseText);
-          } else {
-            resolve(null);
-          }
-        };
-        xhr.onerror = () => resolve(null);
-        xhr.ontimeout = () => resolve(null);
-        xhr.open('GET', url, true);
-        xhr.setRequestHeader('Accept', 'text/html,application/xhtml+xml');
-        xhr.send();
-      });
+  function encodeImageForModel(bitmap) {
+    const scale = Math.min(1, LIMITS.IMAGE_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return {
+      dataUrl: canvas.toDataURL("image/jpeg", LIMITS.IMAGE_JPEG_QUALITY),
+      width: canvas.width,
+      height: canvas.height
+    };
+  }
 
-      if (!html) {
-        return null;
+  /** Queue an image context item for the next message, within MAX_IMAGES_PER_MESSAGE. */
+  function queueImageAttachment(item, urlbarInput) {
+    if (pendingAttachments.filter((pending) => pending.kind === "image").length >= LIMITS.MAX_IMAGES_PER_MESSAGE) {
+      displayConversationNote(`Not attached: ${item.title} (at most ${LIMITS.MAX_IMAGES_PER_MESSAGE} images per message)`);
+      return false;
+    }
+    pendingAttachments.push(item);
+    displayConversationNote(`Attached ${item.title} (${item.width}×${item.height}) — sent with your next message`);
+    urlbarInput?.setAttribute("placeholder", "Ask about the image...");
+    return true;
+  }
+
+  /** Pasted or dropped image files → image context items. */
+  async function attachImageFiles(files, urlbarInput) {
+    for (const file of files) {
+      let bitmap;
+      try {
+        bitmap = await createImageBitmap(file);
+      } catch (e) {
+        logWarn("Could not decode image:", file.name, e.message);
+        displayConversationNote(`Not attached: ${file.name || "image"} (unreadable image)`);
+        continue;
       }
-      
-      // Parse HTML
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-      
-      // Try Mozilla Readability first (if loaded)
-      if (ReadabilityClass) {
-        try {
-          // Clone the document as Readability modifies it
-          const docClone = doc.cloneNode(true);
-          const reader = new ReadabilityClass(docClone, {
-            charThreshold: 100
-          });
-          const article = reader.parse();
-          
-          if (article && article.textContent && article.textContent.length > 100) {
-            // Build the extracted content
-            let content = '';
-            if (article.title) {
-              content += `# ${article.title}\n\n`;
-            }
-            if (article.byline) {
-              content += `By: ${article.byline}\n\n`;
-            }
-            if (article.excerpt && article.excerpt.length > 50) {
-              content += `*${article.excerpt}*\n\n`;
-            }
-            // Use textContent for cleaner output (no HTML tags)
-            content += article.textContent;
-            
-            // Clean up and truncate
-            content = content
-              .replace(/\n{3,}/g, '\n\n')
-              .replace(/[ \t]+/g, ' ')
-              .trim();
-            
-            if (content.length > 100) {
-              log('Readability extracted', content.length, 'chars from:', url);
-              return content.length > maxLength 
-                ? content.substring(0, maxLength) + '...'
-                : content;
-            }
-          }
-        } catch (readabilityError) {
-          logWarn('Readability parsing failed:', readabilityError.message);
+      try {
+        if (!isLLMMode) {
+          return;
         }
+        const encoded = encodeImageForModel(bitmap);
+        queueImageAttachment({ kind: "image", title: file.name || "Pasted image", ...encoded }, urlbarInput);
+      } finally {
+        bitmap.close();
       }
-      
-      // Fallback to simple extraction
-      return extractMainContentSimple(doc, maxLength);
-      
-    } catch (error) {
-      logWarn('Error fetching page:', error.message);
-      return null;
     }
   }
-  
+
   /**
-   * Simple fallback content extraction when Readability is unavailable or fails
+   * "/screenshot": the visible part of the selected tab, rendered by the content process
+   * (WindowGlobalParent.drawSnapshot with no rect = current viewport).
    */
-  function extractMainContentSimple(doc, maxLength = LIMITS.MAX_SIMPLE_CONTENT_LENGTH) {
+  async function attachTabScreenshot(urlbarInput) {
+    const tab = getCurrentTab();
+    const browser = tab?.linkedBrowser;
+    const windowGlobal = browser?.browsingContext?.currentWindowGlobal;
+    if (!windowGlobal) {
+      displayConversationNote("Could not capture the current tab");
+      return;
+    }
+    let bitmap;
     try {
-      // If doc is a string (HTML), parse it first
-      if (typeof doc === 'string') {
-        const parser = new DOMParser();
-        doc = parser.parseFromString(doc, 'text/html');
-      }
-      
-      // Clone to avoid modifying original
-      const docClone = doc.cloneNode(true);
-      
-      // Remove unwanted elements
-      const removeSelectors = [
-        'script', 'style', 'noscript', 'nav', 'footer', 'header', 'aside', 
-        'form', '.ad', '.ads', '.sidebar', '.menu', '.nav', '.comment', '.comments',
-        '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]'
-      ];
-      for (const selector of removeSelectors) {
-        try {
-          docClone.querySelectorAll(selector).forEach(el => el.remove());
-        } catch (e) { }
+      bitmap = await windowGlobal.drawSnapshot(null, 1, "rgb(255,255,255)");
+    } catch (e) {
+      logWarn("Tab screenshot failed:", e.message);
+      displayConversationNote("Could not capture the current tab");
+      return;
+    }
+    try {
+      if (!isLLMMode) {
+        return;
       }
-      
-      // Try to find main content area
-      const mainSelectors = ['article', 'main', '[role="main"]', '.content', '.article', '.post', '#content'];
-      let mainEl = null;
-      for (const selector of mainSelectors) {
-        mainEl = docClone.querySelector(selector);
-        if (mainEl && mainEl.textContent.trim().length > 200) break;
-        mainEl = null;
+      const encoded = encodeImageForModel(bitmap);
+      queueImageAttachment(
+        {
+          kind: "image",
+          title: `Screenshot of ${tab.label || browser.currentURI?.spec || "tab"}`,
+          url: browser.currentURI?.spec || "",
+          ...encoded
+        },
+        urlbarInput
+      );
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  function isFileDrag(e) {
+    return isLLMMode && !!e.dataTransfer && [...e.dataTransfer.types].includes("Files");
+  }
+
+  /** Accept dropped files on `target` while LLM mode is active (highlighted while dragging over). */
+  function attachFileDropHandlers(target) {
+    target.addEventListener("dragover", (e) => {
+      if (!isFileDrag(e)) {
+        return;
       }
-      
-      const targetEl = mainEl || docClone.body;
-      if (!targetEl) return null;
-      
-      // Get text from paragraphs and headings
-      const elements = targetEl.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote');
-      const texts = [];
-      
-      for (const el of elements) {
-        const text = el.textContent.trim();
-        if (text.length > 20) {
-          if (/^H[1-6]$/.test(el.tagName)) {
-            texts.push(`## ${text}`);
-          } else {
-            texts.push(text);
-          }
-        }
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = "copy";
+      target.setAttribute("llm-drop-target", "true");
+    }, true);
+    target.addEventListener("dragleave", (e) => {
+      if (!target.contains(e.relatedTarget)) {
+        target.removeAttribute("llm-drop-target");
       }
-      
-      let content = texts.join('\n\n');
-      
-      // If we didn't get enough from structured elements, use all text
-      if (content.length < 200 && targetEl.textContent) {
-        content = targetEl.textContent
-          .replace(/\s+/g, ' ')
-          .trim();
+    }, true);
+    target.addEventListener("drop", (e) => {
+      target.removeAttribute("llm-drop-target");
+      if (!isFileDrag(e)) {
+        return;
       }
-      
-      content = content.substring(0, maxLength);
-      return content.length > 50 ? content : null;
-      
-    } catch (e) {
-      logWarn('Simple extraction failed:', e.message);
-      return null;
-    }
+      // Keep the urlbar from treating the drop as a URL to load
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      attachDroppedFiles([...e.dataTransfer.files], document.getElementById("urlbar-input"));
+    }, true);
   }
 
-
   /**
    * Fetch content from multiple search results in parallel
    * Optimized for speed - uses shorter timeouts and settles quickly
@@ -3477,7 +6867,8 @@ When uncertain, prefer SEARCH. Do NOT explain. Just reply with one word.${follow
         ? `\nContent:\n${result.content}`
         : `\nSnippet: ${result.snippet}`;
       
-      return `<source id="[${idx}]" url="${result.url}" site="${result.source}">
+      const origin = result.place ? ` origin="${result.place}"` : "";
+      return `<source id="[${idx}]" url="${result.url}" site="${result.source}"${origin}>
 Title: ${result.title}${contentSection}
 </source>`;
     }).join('\n\n');
@@ -3498,7 +6889,11 @@ Other instructions:
 - Synthesize information from the sources to directly answer the user's question
 - Extract and present the key facts, news, and information from the content
 - If sources contain conflicting information, acknowledge this and cite both
-- If the sources don't contain enough information to fully answer, say what you found
+- If the sources don't contain enough information to fully answer, say what you found${
+  searchResults.some((r) => r.place)
+    ? '\n- Sources with origin="history" or origin="bookmark" are pages the user visited or bookmarked before; you may mention that'
+    : ''
+}
 
 <web-sources>
 ${searchResultsXml}
@@ -3559,7 +6954,16 @@ Provide a direct, informative answer with citations:`;
       const url = getSourceUrl(source);
       if (!source || !url) return;
       marker.dataset.url = url;
+      marker.toggleAttribute("data-tab", !!source.tab);
+      if (source.place) {
+        marker.dataset.place = source.place;
+      } else {
+        delete marker.dataset.place;
+      }
       marker.title = source.title || source.source || url;
+      if (source.place) {
+        marker.title = `${source.place === "bookmark" ? "Bookmark" : "History"} · ${marker.title}`;
+      }
       const domain = domainForFavicon(source);
       if (!domain) return;
       const enc = encodeURIComponent(domain);
@@ -3589,43 +6993,24 @@ Provide a direct, informative answer with citations:`;
     });
   }
 
-  function activateLLMMode(urlbar, urlbarInput, providerKey) {
+  function activateLLMMode(urlbar, urlbarInput, providerKey, { restoreLive = true } = {}) {
     isLLMMode = true;
-    currentProvider = CONFIG.providers[providerKey];
+    // Per-session copy: model picks apply until deactivation without touching the configured defaults
+    currentProvider = { ...CONFIG.providers[providerKey] };
     
-    // Remove "/provider" from input and store query
-    const newValue = urlbarInput.value.replace(/^\/\w+\s*/, "").trim();
+    // Remove "/provider" (or "/provider:model") from input and store query
+    const newValue = urlbarInput.value.replace(/^\/\w+(?::\S*)?\s*/, "").trim();
     urlbarInput.value = newValue;
     currentQuery = newValue;
     
     // Set visual indicator with provider name
     urlbar.setAttribute("llm-mode-active", "true");
-    urlbar.setAttribute("llm-provider", providerKey);
-    
-    // Use the native Zen #urlbar-label-box if it exists, or create it
-    let labelBox = document.getElementById("urlbar-label-box");
-    if (!labelBox) {
-      // Create the label box element
-      labelBox = document.createXULElement ? 
-        document.createXULElement("label") : 
-        document.createElement("label");
-      labelBox.id = "urlbar-label-box";
-      
-      // Insert it in the urlbar (before the input container)
-      const inputContainer = urlbar.querySelector(".urlbar-input-container");
-      if (inputContainer && inputContainer.parentNode) {
-        inputContainer.parentNode.insertBefore(labelBox, inputContainer);
-      }
-    }
-    
-    // Set provider name and show
-    labelBox.textContent = currentProvider.name;
-    labelBox.hidden = false;
-    labelBox.style.display = "inline-block";
+    urlbar.removeAttribute("llm-hint");
+    showProviderPill(urlbar, providerKey);
     
     // Save and change placeholder text
     originalPlaceholder = urlbarInput.getAttribute("placeholder") || "";
-    const restoredLive = restoreLiveConversation(providerKey);
+    const restoredLive = restoreLive && restoreLiveConversation(providerKey);
     // Use different placeholder for follow-ups vs initial query
     const placeholder =
       conversationHistory.length > 0 ? "Ask a follow-up..." : "Ask anything...";
@@ -3650,14 +7035,99 @@ Provide a direct, informative answer with citations:`;
         urlbarViewBodyInner.style.display = "";
       }
     }
-    
-    // Focus input
-    urlbarInput.focus();
-    
-    // Trigger Zen's native search mode animation (scale bounce + glow)
+    
+    // Focus input
+    urlbarInput.focus();
+    
+    // Trigger Zen's native search mode animation (scale bounce + glow)
+    triggerZenSearchModeAnimation(urlbar);
+
+    captureSelectionForNextMessage(urlbarInput);
+    // Pick up edits to the shared templates file
+    loadPromptTemplates();
+    if (restoreLive && !restoredLive && !conversationHistory.length) {
+      offerPageSessions(providerKey, urlbar, urlbarInput);
+    }
+    
+    log(`Activated with provider: ${providerKey}, existing messages: ${conversationHistory.length}`);
+  }
+
+  /**
+   * Show the pill for `currentProvider` and tag the urlbar with `llm-provider`
+   * (provider-specific colors in urlbar-llm.css).
+   */
+  function showProviderPill(urlbar, providerKey) {
+    urlbar.setAttribute("llm-provider", providerKey);
+
+    // Use the native Zen #urlbar-label-box if it exists, or create it
+    let labelBox = document.getElementById("urlbar-label-box");
+    if (!labelBox) {
+      // Create the label box element
+      labelBox = document.createXULElement ? 
+        document.createXULElement("label") : 
+        document.createElement("label");
+      labelBox.id = "urlbar-label-box";
+      
+      // Insert it in the urlbar (before the input container)
+      const inputContainer = urlbar.querySelector(".urlbar-input-container");
+      if (inputContainer && inputContainer.parentNode) {
+        inputContainer.parentNode.insertBefore(labelBox, inputContainer);
+      }
+    }
+    
+    // Set provider name and show
+    labelBox.textContent = currentProvider.persona
+      ? `${currentProvider.name} · ${currentProvider.persona}`
+      : currentProvider.name;
+    labelBox.title = currentProvider.model;
+    labelBox.hidden = false;
+    labelBox.style.display = "inline-block";
+  }
+
+  /**
+   * Move the live thread (history, rolling context summary, stored session) to another
+   * provider and keep talking there. `target` is "provider" or "provider:model".
+   */
+  function handoffConversation(target, urlbar, urlbarInput) {
+    const [rawKey, ...modelParts] = (target || "").split(":");
+    const targetKey = rawKey.trim().replace(/^\//, "").toLowerCase();
+    const targetModel = modelParts.join(":").trim();
+    const sourceKey = urlbar.getAttribute("llm-provider");
+    if (!CONFIG.providers[targetKey]) {
+      displayConversationNote(`Unknown provider: ${targetKey || "(none)"}`);
+      return;
+    }
+    if (targetKey === sourceKey && !targetModel) {
+      return;
+    }
+
+    interruptLlmStream({ persistPartial: true });
+    urlbar.removeAttribute("is-llm-thinking");
+    dismissUrlbarPicker();
+
+    const sourceName = currentProvider?.name || sourceKey;
+    if (sourceKey) {
+      delete liveConversationsByProvider[sourceKey];
+    }
+
+    // conversationHistory, conversationContextSummary and currentSessionId stay as they are:
+    // the next save re-keys the stored session to the target provider.
+    const persona = currentProvider?.persona;
+    currentProvider = { ...CONFIG.providers[targetKey] };
+    if (targetModel) {
+      currentProvider.model = targetModel;
+    }
+    if (persona) {
+      currentProvider.persona = persona;
+    }
+    showProviderPill(urlbar, targetKey);
     triggerZenSearchModeAnimation(urlbar);
-    
-    log(`Activated with provider: ${providerKey}, existing messages: ${conversationHistory.length}`);
+    stashLiveConversation(targetKey);
+
+    displayConversationNote(`Handed off from ${sourceName} to ${currentProvider.name} (${currentProvider.model})`);
+    urlbarInput.setAttribute("placeholder", "Ask a follow-up...");
+    urlbarInput.focus();
+    log("Handed off conversation:", sourceKey, "→", targetKey, "messages:", conversationHistory.length);
   }
 
   /**
@@ -3713,6 +7183,13 @@ Provide a direct, informative answer with citations:`;
     currentQuery = "";
     
     interruptLlmStream({ persistPartial: true });
+    compareSession = null;
+    pendingSelectionQuote = null;
+    pendingAttachments = [];
+    urlbar.removeAttribute("llm-compare");
+
+    activePicker = null;
+    removeLlmPickerRowsFromResults();
 
     currentSearchSources = [];
     historyIndex = -1;
@@ -3746,6 +7223,7 @@ Provide a direct, informative answer with citations:`;
     urlbar.removeAttribute("llm-mode-active");
     urlbar.removeAttribute("llm-provider");
     urlbar.removeAttribute("llm-hint");
+    urlbar.removeAttribute("llm-template-hint");
     urlbar.removeAttribute("is-llm-thinking");
     
     // Hide pill
@@ -3821,7 +7299,7 @@ Provide a direct, informative answer with citations:`;
     log("Deactivated");
   }
 
-  function displayUserMessage(message) {
+  function displayUserMessage(message, context = null, search = null) {
     // Get or create conversation container
     if (!conversationContainer || !conversationContainer.parentNode) {
       log("Creating/recreating conversation container");
@@ -3830,13 +7308,15 @@ Provide a direct, informative answer with citations:`;
     
     if (!conversationContainer) {
       logError("Failed to create conversation container");
-      return;
+      return null;
     }
     
     // Create user message element
     const messageDiv = document.createElement("div");
     messageDiv.className = "llm-message llm-message-user";
     messageDiv.textContent = message;
+    renderUserMessageContext(messageDiv, context);
+    renderSearchDirectiveChip(messageDiv, search);
     
     conversationContainer.appendChild(messageDiv);
     
@@ -3852,6 +7332,7 @@ Provide a direct, informative answer with citations:`;
         }
       });
     });
+    return messageDiv;
   }
 
   function createConversationContainer() {
@@ -3885,6 +7366,7 @@ Provide a direct, informative answer with citations:`;
     // Make the container focusable so it can receive keyboard events (Ctrl+C)
     container.setAttribute("tabindex", "-1");
     log("Creating new conversation container");
+    attachFileDropHandlers(container);
     
     container.addEventListener("mousedown", (e) => {
       const target = e.target;
@@ -3944,6 +7426,7 @@ Provide a direct, informative answer with citations:`;
         e.stopPropagation();
         let url = citationMarker.dataset.url ||
           (currentSearchSources && currentSearchSources[parseInt(citationMarker.dataset.source, 10) - 1]?.url);
+        let isTabSource = citationMarker.hasAttribute("data-tab");
         if (!url) {
           const msgDiv = citationMarker.closest('.llm-message-assistant');
           const stored = msgDiv?.dataset?.citationSources;
@@ -3952,6 +7435,7 @@ Provide a direct, informative answer with citations:`;
               const sources = JSON.parse(stored);
               const s = sources[parseInt(citationMarker.dataset.source, 10) - 1];
               url = s && (s.url || s.href || s.link);
+              isTabSource = !!s?.tab;
             } catch (err) {}
           }
         }
@@ -3961,7 +7445,10 @@ Provide a direct, informative answer with citations:`;
             suppressNativeBlur();
             const topWindow = window.top || window;
             const browser = topWindow.gBrowser || topWindow.getBrowser?.() || window.gBrowser;
-            if (browser && browser.addTab) {
+            // Sources that were open tabs (@tabs) switch to the tab while it is still open
+            if (isTabSource && selectOpenTabByUrl(url)) {
+              log('Switched to cited tab:', url);
+            } else if (browser && browser.addTab) {
               browser.addTab(url, {
                 triggeringPrincipal: Services.scriptSecurityManager.getSystemPrincipal(),
                 inBackground: true
@@ -4031,27 +7518,10 @@ Provide a direct, informative answer with citations:`;
     return container;
   }
 
-  function createStreamingResultRow() {
-    // Get or create conversation container
-    if (!conversationContainer || !conversationContainer.parentNode) {
-      log("Creating/recreating conversation container for assistant");
-      conversationContainer = createConversationContainer();
-    }
-    
-    if (!conversationContainer) {
-      logError("Failed to create conversation container for assistant");
-      return null;
-    }
-
-    // Create assistant message element
-    const messageDiv = document.createElement("div");
-    messageDiv.className = "llm-message llm-message-assistant";
-    
-    // Create content div for streaming text
-    const contentDiv = document.createElement("div");
-    contentDiv.className = "llm-message-content";
-    contentDiv.textContent = "Thinking...";
-    
+  /**
+   * Open links and citation markers in background tabs without closing the urlbar panel.
+   */
+  function attachAssistantLinkHandlers(contentDiv) {
     // Handle link clicks using mouseup event (more reliable than click in this context)
     const handleLinkInteraction = (e, eventType) => {
       const target = e.target;
@@ -4069,7 +7539,9 @@ Provide a direct, informative answer with citations:`;
             suppressNativeBlur();
             const topWindow = window.top || window;
             const browser = topWindow.gBrowser || topWindow.getBrowser?.() || window.gBrowser;
-            if (browser && browser.addTab) {
+            if (citationMarker.hasAttribute("data-tab") && selectOpenTabByUrl(url)) {
+              log('Switched to cited tab:', url);
+            } else if (browser && browser.addTab) {
               browser.addTab(url, {
                 triggeringPrincipal: Services.scriptSecurityManager.getSystemPrincipal(),
                 inBackground: true
@@ -4134,6 +7606,30 @@ Provide a direct, informative answer with citations:`;
     contentDiv.addEventListener('mousedown', (e) => handleLinkInteraction(e, 'mousedown'), true);
     contentDiv.addEventListener('mouseup', (e) => handleLinkInteraction(e, 'mouseup'), true);
     contentDiv.addEventListener('click', (e) => handleLinkInteraction(e, 'click'), true);
+  }
+
+  function createStreamingResultRow() {
+    // Get or create conversation container
+    if (!conversationContainer || !conversationContainer.parentNode) {
+      log("Creating/recreating conversation container for assistant");
+      conversationContainer = createConversationContainer();
+    }
+    
+    if (!conversationContainer) {
+      logError("Failed to create conversation container for assistant");
+      return null;
+    }
+
+    // Create assistant message element
+    const messageDiv = document.createElement("div");
+    messageDiv.className = "llm-message llm-message-assistant";
+    
+    // Create content div for streaming text
+    const contentDiv = document.createElement("div");
+    contentDiv.className = "llm-message-content";
+    contentDiv.textContent = "Thinking...";
+    
+    attachAssistantLinkHandlers(contentDiv);
     
     messageDiv.appendChild(contentDiv);
     conversationContainer.appendChild(messageDiv);
@@ -4143,12 +7639,174 @@ Provide a direct, informative answer with citations:`;
     return { row: messageDiv, title: contentDiv };
   }
 
-  async function sendToLLM(urlbar, urlbarInput, query, historyForApi = null) {
+  /**
+   * Make sure a non-local provider has an API key: saved pref first, then a prompt.
+   * Returns false when the user dismisses the prompt.
+   */
+  function ensureProviderApiKey(providerKey, provider) {
+    if (provider.apiKey === null || provider.apiKey !== "") {
+      return true;
+    }
+    // Try to load from preferences first
+    const prefKey = `extension.urlbar-llm.${providerKey}-api-key`;
+    const savedKey = getPref(prefKey, "");
+    if (savedKey) {
+      provider.apiKey = savedKey;
+      return true;
+    }
+    // Prompt user if not in preferences
+    const key = prompt(`Enter API key for ${provider.name} (or set in Sine settings):`);
+    if (!key) {
+      return false;
+    }
+    provider.apiKey = key;
+    setPref(prefKey, key);
+    return true;
+  }
+
+  /** HTTP status from a fetchWithRetry "API error: NNN" message, or null. */
+  function getApiErrorStatus(error) {
+    const statusMatch = (error?.message || String(error)).match(/api error:\s*(\d+)/i);
+    return statusMatch ? parseInt(statusMatch[1], 10) : null;
+  }
+
+  /**
+   * User-facing text for a failed (non-abort) LLM request.
+   * `sentImages` is the latest turn's image list, so a rejected image reads as such.
+   */
+  function describeLlmRequestError(error, sentImages = []) {
+    const msg = (error?.message || String(error)).toLowerCase();
+    const status = getApiErrorStatus(error);
+
+    if (sentImages.length && ([400, 415, 422].includes(status) || /image|vision|multimodal/.test(msg))) {
+      return "This model doesn't accept images. Switch with /model or ask again without the image.";
+    } else if (status === 401 || status === 403) {
+      return "Invalid API key. Please check your settings and try again.";
+    } else if (status === 429) {
+      return "Rate limit exceeded. Please wait a moment and try again.";
+    } else if (status >= 500) {
+      return "Service temporarily unavailable. Please try again in a moment.";
+    } else if (status === 400 || status === 404) {
+      return "Request failed. Please try a different query.";
+    } else if (/network|fetch|connection|timeout|refused/i.test(msg)) {
+      return "Connection error. Please check your network and try again.";
+    } else if (/api error|invalid|unauthorized/i.test(msg)) {
+      return "API request failed. Please check your API key and try again.";
+    }
+    return "Something went wrong. Please try again.";
+  }
+
+  // ============================================
+  // Provider fallback
+  // ============================================
+
+  /** Comma-separated provider keys, e.g. "mistral, openai, ollama" */
+  const FALLBACK_CHAIN_PREF = "extension.urlbar-llm.fallback-chain";
+
+  /**
+   * Outage-type failures worth sending elsewhere: 429, 5xx, overloaded streams, timeouts and
+   * unreachable servers. Auth and request errors (other 4xx) would fail the same way on the next provider
+   * only by coincidence, so they are surfaced instead.
+   */
+  function isProviderOutageError(error) {
+    if (!error || error.name === "AbortError") {
+      return false;
+    }
+    const status = getApiErrorStatus(error);
+    if (status !== null) {
+      return status === 429 || status >= 500;
+    }
+    const message = error.message || "";
+    // fetch() rejects with a TypeError ("NetworkError when attempting to fetch resource") when the
+    // server cannot be reached; other TypeErrors are bugs and must not hop to the next provider
+    const networkFailure = error.name === "TypeError" && /NetworkError|fetch/i.test(message);
+    return networkFailure || /\btime(d)? ?out\b|\boverloaded\b/i.test(message);
+  }
+
+  /**
+   * Providers after `primaryKey` in the fallback chain (the whole chain when it is not listed),
+   * as fresh `[key, provider]` copies. Providers without a saved API key are skipped: a
+   * fallback never prompts.
+   */
+  function getFallbackProviders(primaryKey) {
+    const chain = String(getPref(FALLBACK_CHAIN_PREF, "") || "")
+      .split(/[\s,>→]+/)
+      .map((key) => key.replace(/^\//, "").toLowerCase())
+      .filter(Boolean);
+    const start = chain.indexOf(primaryKey);
+    const candidates = [];
+    for (const key of start === -1 ? chain : chain.slice(start + 1)) {
+      if (key === primaryKey || !CONFIG.providers[key] || candidates.some(([k]) => k === key)) {
+        continue;
+      }
+      const provider = { ...CONFIG.providers[key] };
+      if (provider.apiKey === "") {
+        provider.apiKey = getPref(`extension.urlbar-llm.${key}-api-key`, "");
+      }
+      if (provider.apiKey === "") {
+        log("Fallback skips provider without API key:", key);
+        continue;
+      }
+      candidates.push([key, provider]);
+    }
+    return candidates;
+  }
+
+  /**
+   * streamResponse on the active provider, then down the fallback chain while the failure is an
+   * outage and nothing has streamed yet (a half-written answer is never continued elsewhere).
+   * @returns {Promise<{ providerKey: string, provider: object }>} who actually answered
+   */
+  async function streamResponseWithFallback(messages, titleElement, stream, providerKey, generationOverride = null) {
+    const candidates = [[providerKey, currentProvider], ...getFallbackProviders(providerKey)];
+    for (let i = 0; i < candidates.length; i++) {
+      const [key, provider] = candidates[i];
+      try {
+        await streamResponse(
+          messages,
+          titleElement,
+          stream,
+          provider,
+          resolveGenerationParams(provider, generationOverride)
+        );
+        return { providerKey: key, provider };
+      } catch (error) {
+        const next = candidates[i + 1];
+        if (!next || stream.buffer || stream.reasoning || !isProviderOutageError(error)) {
+          throw error;
+        }
+        logWarn(`${provider.name} unavailable (${error.message}), falling back to ${next[1].name}`);
+        titleElement.textContent = `${provider.name} unavailable, asking ${next[1].name}...`;
+      }
+    }
+  }
+
+  /**
+   * @param {object} [turn] - `generationOverride` ({…} prefix params), `contextMentions` (@page, …),
+   *   the `contextTabs` picked for @tabs and the `userEntry` / `userMessageDiv` the resolved context
+   *   is attached to
+   */
+  async function sendToLLM(
+    urlbar,
+    urlbarInput,
+    query,
+    historyForApi = null,
+    {
+      generationOverride = null,
+      contextMentions = null,
+      contextTabs = null,
+      searchDirective = null,
+      userEntry = null,
+      userMessageDiv = null
+    } = {}
+  ) {
     if (!currentProvider || !query.trim()) {
       return;
     }
 
     const apiHistory = historyForApi || snapshotConversationHistory();
+    // `/model` may switch mid-stream; the entry records the model this request was sent to
+    const requestModel = currentProvider.model;
     log(
       "sendToLLM with",
       apiHistory.length,
@@ -4157,25 +7815,9 @@ Provide a direct, informative answer with citations:`;
       ")"
     );
 
-    // Check API key for non-local providers
-    if (currentProvider.apiKey !== null && currentProvider.apiKey === "") {
-      // Try to load from preferences first
-      const providerKey = urlbar.getAttribute("llm-provider");
-      const prefKey = `extension.urlbar-llm.${providerKey}-api-key`;
-      const savedKey = getPref(prefKey, "");
-      
-      if (savedKey) {
-        currentProvider.apiKey = savedKey;
-      } else {
-        // Prompt user if not in preferences
-        const key = prompt(`Enter API key for ${currentProvider.name} (or set in Sine settings):`);
-        if (!key) {
-          deactivateLLMMode(urlbar, urlbarInput);
-          return;
-        }
-        currentProvider.apiKey = key;
-        setPref(prefKey, key);
-      }
+    if (!ensureProviderApiKey(urlbar.getAttribute("llm-provider"), currentProvider)) {
+      deactivateLLMMode(urlbar, urlbarInput);
+      return;
     }
 
     // Create streaming result row
@@ -4191,21 +7833,68 @@ Provide a direct, informative answer with citations:`;
     // Set thinking state
     urlbar.setAttribute("is-llm-thinking", "true");
 
-    const { signal, generation: streamGeneration } = beginLlmStream();
+    const stream = beginLlmStream();
+    const { signal, generation: streamGeneration } = stream;
     currentSearchSources = [];
 
     try {
+      if (contextMentions?.size) {
+        titleElement.innerHTML =
+          `<span class="llm-status-line"><span class="llm-search-spinner"></span> ${describeContextReading(contextMentions)}</span>`;
+        const resolved = await resolveContextMentions(contextMentions, { tabs: contextTabs || [] });
+        if (signal.aborted) {
+          throw new DOMException("Aborted", "AbortError");
+        }
+        if (resolved.length) {
+          const apiUserEntry = apiHistory[apiHistory.length - 1];
+          const context = [...(apiUserEntry.context || []), ...resolved];
+          // The live entry keeps it for follow-ups and the session store; the snapshot for this request
+          if (userEntry) {
+            userEntry.context = context;
+          }
+          apiUserEntry.context = context;
+          renderUserMessageContext(userMessageDiv, context);
+        }
+        const missingNote = describeMissingContext(contextMentions, resolved);
+        if (missingNote) {
+          displayConversationNote(missingNote, streamingResultRow);
+        }
+      }
+      // Picked tabs are this turn's numbered sources; they stand in for a web search
+      const tabSources = getContextCitationSources(apiHistory[apiHistory.length - 1]?.context);
+      if (tabSources.length) {
+        currentSearchSources = tabSources;
+      }
+
       // Perform web search if enabled and the model decides it needs it
       let searchContext = null;
       let searchResultsForDisplay = null;
       const providerKey = urlbar.getAttribute("llm-provider");
-      const supportsWebSearch = providerKey === 'openai' || providerKey === 'mistral' || providerKey === 'ollama' || providerKey === 'gemini';
+      const supportsWebSearch = providerKey === 'openai' || providerKey === 'mistral' || providerKey === 'ollama' || providerKey === 'gemini' || providerKey === 'anthropic' || !!currentProvider.custom;
       
       // Ask the LLM itself whether the query is within its knowledge scope
       let needsSearch = false;
       let searchQuery = query;
       let searchQueryFromExplicit = false;
-      if (isWebSearchEnabled() && supportsWebSearch) {
+      const searchMode = getWebSearchMode(providerKey);
+      const searchForced = searchDirective?.mode === "force";
+      const searchSites = searchDirective?.sites || [];
+      if (searchDirective?.mode === "skip") {
+        log("Web search skipped (!noweb)");
+      } else if (searchForced && supportsWebSearch && !tabSources.length) {
+        // "!web" / "!site:" search without asking the classifier
+        needsSearch = true;
+        searchQueryFromExplicit = true;
+        log("Web search forced by operator", searchSites.length ? `(sites: ${searchSites.join(", ")})` : "");
+      } else if (searchMode === "always" && supportsWebSearch && !tabSources.length) {
+        needsSearch = true;
+        log("Web search mode is always, skipping the classifier");
+      } else if (
+        (searchMode === "auto" || (searchMode === "never" && isPlacesSearchEnabled())) &&
+        supportsWebSearch &&
+        !tabSources.length
+      ) {
+        // With web search off, history/bookmarks can still be searched (searchWeb returns null)
         const isFollowUp = apiHistory.length > 1;
 
         // Follow-up where user explicitly asks to search: skip classifier; query may still be refined below
@@ -4251,14 +7940,28 @@ Provide a direct, informative answer with citations:`;
 
         log("Web search triggered for query:", searchQuery);
         const startTime = Date.now();
-        const searchResults = await searchWeb(searchQuery, LIMITS.MAX_SEARCH_RESULTS, providerKey);
+        // Pages from the user's history/bookmarks (search-places pref) go first and are all read
+        const [webResults, placeResults] = (
+          await Promise.all([
+            searchWeb(restrictSearchQueryToSites(searchQuery, searchSites), getSearchCandidateCount(), providerKey, {
+              force: searchForced
+            }),
+            isPlacesSearchEnabled() ? searchPlaces(searchQuery) : null
+          ])
+        ).map((results) => rankSearchResults(filterSearchResultsToSites(results, searchSites)));
+        // Blocked/preferred domains are applied above, before the top pages are picked and read
+        const searchResults = mergeSearchResults(placeResults, webResults?.slice(0, LIMITS.MAX_SEARCH_RESULTS));
         
         if (searchResults && searchResults.length > 0) {
           // Update status - fetching content
           titleElement.innerHTML = '<span class="llm-status-line"><span class="llm-search-spinner"></span> Reading sources...</span>';
           
           // Fetch actual page content from search results (faster now)
-          const resultsWithContent = await fetchSearchResultsContent(searchResults, 3, providerKey);
+          const resultsWithContent = await fetchSearchResultsContent(
+            searchResults,
+            LIMITS.MAX_FETCH_RESULTS + (placeResults?.length || 0),
+            providerKey
+          );
           
           // Store for source pills display
           searchResultsForDisplay = resultsWithContent;
@@ -4269,9 +7972,9 @@ Provide a direct, informative answer with citations:`;
         } else {
           log('Web search returned no results');
         }
-      } else if (!supportsWebSearch && isWebSearchEnabled()) {
+      } else if (!supportsWebSearch && searchMode !== "never") {
         log('Web search not supported for provider:', providerKey);
-      } else {
+      } else if (!tabSources.length) {
         // Clear sources if no search was performed
         currentSearchSources = [];
       }
@@ -4297,22 +8000,42 @@ Provide a direct, informative answer with citations:`;
         ")"
       );
       
-      await streamResponse(messagesToSend, titleElement, signal);
+      const answeredBy = await streamResponseWithFallback(
+        messagesToSend,
+        titleElement,
+        stream,
+        providerKey,
+        generationOverride
+      );
       
       // Add assistant's response to conversation history (include sources for history/session store)
       const assistantEntry = {
         role: "assistant",
-        content: llmStream?.buffer || ""
+        content: stream.buffer,
+        model: requestModel
       };
+      if (answeredBy.providerKey !== providerKey) {
+        assistantEntry.model = answeredBy.provider.model;
+        assistantEntry.fallbackProvider = answeredBy.providerKey;
+        displayConversationNote(
+          `${currentProvider.name} was unavailable — answered by ${answeredBy.provider.name}`,
+          streamingResultRow
+        );
+      }
+      if (generationOverride) {
+        assistantEntry.params = generationOverride;
+      }
+      if (stream.reasoning.trim()) {
+        assistantEntry.reasoning = stream.reasoning.trim();
+      }
+      if (stream.usage) {
+        assistantEntry.usage = stream.usage;
+      }
       if (currentSearchSources && currentSearchSources.length > 0) {
-        assistantEntry.sources = currentSearchSources.map((s) => ({
-          title: s.title,
-          url: s.url,
-          source: s.source,
-          index: s.index
-        }));
+        assistantEntry.sources = currentSearchSources.map(copyCitationSource);
       }
       conversationHistory.push(assistantEntry);
+      renderAssistantMeta(streamingResultRow, assistantEntry);
 
       // Snapshot for pills: this turn's stored sources, or prior assistant sources (no new search).
       // Do not read `currentSearchSources` inside delayed inject — the next user send clears it.
@@ -4353,30 +8076,12 @@ Provide a direct, informative answer with citations:`;
     } catch (error) {
       logError("LLM request error:", error);
       if (error.name === "AbortError") {
-        if (llmStream?.generation === streamGeneration) {
-          commitPartialAssistantToHistory(llmStream.buffer);
+        if (isLlmStreamLive(streamGeneration)) {
+          commitPartialAssistantToHistory(stream.buffer);
           titleElement.textContent = "Request cancelled";
         }
       } else {
-        const msg = (error?.message || String(error)).toLowerCase();
-        const statusMatch = msg.match(/api error:\s*(\d+)/);
-        const status = statusMatch ? parseInt(statusMatch[1], 10) : null;
-
-        if (status === 401 || status === 403) {
-          titleElement.textContent = "Invalid API key. Please check your settings and try again.";
-        } else if (status === 429) {
-          titleElement.textContent = "Rate limit exceeded. Please wait a moment and try again.";
-        } else if (status >= 500) {
-          titleElement.textContent = "Service temporarily unavailable. Please try again in a moment.";
-        } else if (status === 400 || status === 404) {
-          titleElement.textContent = "Request failed. Please try a different query.";
-        } else if (/network|fetch|connection|timeout|refused/i.test(msg)) {
-          titleElement.textContent = "Connection error. Please check your network and try again.";
-        } else if (/api error|invalid|unauthorized/i.test(msg)) {
-          titleElement.textContent = "API request failed. Please check your API key and try again.";
-        } else {
-          titleElement.textContent = "Something went wrong. Please try again.";
-        }
+        titleElement.textContent = describeLlmRequestError(error, getImageContext(apiHistory.at(-1)));
       }
       urlbar.removeAttribute("is-llm-thinking");
     } finally {
@@ -4386,51 +8091,56 @@ Provide a direct, informative answer with citations:`;
 
   /**
    * Unified streaming response handler for all providers.
-   * Supports both OpenAI-compatible SSE format and Ollama JSON format.
+   * Request building and line parsing are delegated to the provider's adapter
+   * (OpenAI-style SSE, Anthropic SSE events, Ollama JSON lines).
    * Uses debounced rendering to avoid O(n^2) re-parsing on every token.
+   * Tokens accumulate in `stream.buffer` (from beginLlmStream) so an interrupt can save them.
+   * `params` are the neutral sampling options (see resolveGenerationParams).
    */
-  async function streamResponse(messages, titleElement, signal) {
-    const isOllama = currentProvider.name === "Ollama";
-    const isGemini = currentProvider.name === "Gemini";
-
-    // Build request URL and headers
-    const base = isOllama ? currentProvider.baseUrl : currentProvider.baseUrl.replace(/\/+$/, "");
-    let url = isOllama
-      ? currentProvider.baseUrl
-      : (base.endsWith('/chat/completions') ? base : base + "/chat/completions");
-    if (isGemini && currentProvider.apiKey) {
-      url += (url.includes("?") ? "&" : "?") + "key=" + encodeURIComponent(currentProvider.apiKey);
-    }
+  async function streamResponse(messages, titleElement, stream, provider = currentProvider, params = provider.params) {
+    const adapter = getProviderAdapter(provider);
+    const request = adapter.buildRequest(provider, messages, { ...params, stream: true });
 
-    const headers = { "Content-Type": "application/json" };
-    if (!isOllama) {
-      headers["Authorization"] = `Bearer ${currentProvider.apiKey}`;
-    }
-
-    log(`Streaming request — URL: ${url}, Model: ${currentProvider.model}, Provider: ${currentProvider.name}, Messages: ${messages.length}`);
+    log(`Streaming request — URL: ${request.url}, Model: ${provider.model}, Provider: ${provider.name}, Messages: ${messages.length}, Params: ${formatGenerationParams(params) || "defaults"}`);
 
-    const response = await fetchWithRetry(url, {
+    const response = await fetchWithRetry(request.url, {
       method: "POST",
-      headers,
-      body: JSON.stringify({
-        model: currentProvider.model,
-        messages,
-        stream: true
-      })
-    }, signal);
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    }, stream.signal);
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = "";
-    let accumulatedText = llmStream?.buffer || "";
+    let accumulatedText = stream.buffer;
+    // Thinking text is kept apart from the answer: shown collapsed, never sent back to the API
+    let accumulatedReasoning = stream.reasoning;
+    const thinkTags = createThinkTagSplitter();
 
     const appendStreamText = (text) => {
       accumulatedText += text;
-      if (llmStream) {
-        llmStream.buffer = accumulatedText;
-      }
+      stream.buffer = accumulatedText;
+      scheduleRender();
+    };
+    const appendReasoning = (text) => {
+      accumulatedReasoning += text;
+      stream.reasoning = accumulatedReasoning;
       scheduleRender();
     };
+    const appendChunk = ({ text, reasoning }) => {
+      if (reasoning) {
+        appendReasoning(reasoning);
+      }
+      if (text) {
+        appendStreamText(text);
+      }
+    };
+    const renderNow = (streaming) => {
+      renderThinkingBlock(titleElement, accumulatedReasoning, streaming && !accumulatedText);
+      if (!streaming || accumulatedText || !accumulatedReasoning) {
+        renderMarkdownToElement(accumulatedText, titleElement);
+      }
+    };
 
     // Debounced rendering: batch rapid token updates into a single render pass
     let renderPending = false;
@@ -4441,7 +8151,7 @@ Provide a direct, informative answer with citations:`;
       renderTimeoutId = setTimeout(() => {
         renderPending = false;
         renderTimeoutId = null;
-        renderMarkdownToElement(accumulatedText, titleElement);
+        renderNow(true);
         const scrollContainer = document.querySelector(".urlbarView-body-inner");
         if (scrollContainer) {
           scrollContainer.scrollTop = scrollContainer.scrollHeight;
@@ -4456,18 +8166,8 @@ Provide a direct, informative answer with citations:`;
       }
     };
 
-    /**
-     * Extract delta text from a parsed JSON chunk.
-     * Returns the text content or null, and whether the stream is done.
-     */
-    const extractDelta = (json) => {
-      if (isOllama) {
-        return { text: json.message?.content || null, done: !!json.done };
-      }
-      return { text: json.choices?.[0]?.delta?.content || null, done: false };
-    };
-
-    while (true) {
+    let streamDone = false;
+    while (!streamDone) {
       const { done, value } = await reader.read();
       if (done) break;
 
@@ -4479,41 +8179,224 @@ Provide a direct, informative answer with citations:`;
         const trimmed = line.trim();
         if (!trimmed) continue;
 
-        // OpenAI SSE format: lines starting with "data: "
-        if (trimmed.startsWith("data: ")) {
-          const data = trimmed.slice(6);
-          if (data === "[DONE]") {
-            cancelPendingRender();
-            renderMarkdownToElement(accumulatedText, titleElement);
-            return;
-          }
-          try {
-            const { text } = extractDelta(JSON.parse(data));
-            if (text) {
-              appendStreamText(text);
-            }
-          } catch (e) { /* ignore parse errors */ }
+        const chunk = adapter.parseStreamLine(trimmed);
+        if (!chunk) continue;
+        if (chunk.reasoning) {
+          appendReasoning(chunk.reasoning);
         }
-        // Ollama JSON format: each line is a complete JSON object
-        else if (isOllama) {
-          try {
-            const json = JSON.parse(trimmed);
-            const { text, done: streamDone } = extractDelta(json);
-            if (text) {
-              appendStreamText(text);
-            }
-            if (streamDone) {
-              cancelPendingRender();
-              renderMarkdownToElement(accumulatedText, titleElement);
-              return;
-            }
-          } catch (e) { /* ignore parse errors */ }
+        if (chunk.text) {
+          appendChunk(thinkTags.push(chunk.text));
+        }
+        if (chunk.usage) {
+          stream.usage = { ...stream.usage, ...chunk.usage };
+        }
+        if (chunk.done) {
+          streamDone = true;
+          break;
         }
       }
     }
 
+    appendChunk(thinkTags.flush());
     cancelPendingRender();
-    renderMarkdownToElement(accumulatedText, titleElement);
+    renderNow(false);
+  }
+
+  // ============================================
+  // Compare mode
+  // ============================================
+
+  /**
+   * Parse "/compare a b" into two `{ providerKey, model }` sides, or null when the input is not a
+   * compare activation or names an unknown provider.
+   */
+  function parseCompareTargets(text) {
+    const match = (text || "").match(COMPARE_ACTIVATION_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const targets = [match[1], match[2]].map((side) => {
+      const [key, ...modelParts] = side.split(":");
+      return { providerKey: key.replace(/^\//, "").toLowerCase(), model: modelParts.join(":") };
+    });
+    return targets.every((t) => CONFIG.providers[t.providerKey]) ? targets : null;
+  }
+
+  /**
+   * Enter LLM mode with two providers answering every prompt side by side. The first side owns
+   * the pill colors; compare turns are not stored in the per-provider session history.
+   */
+  function activateCompareMode(urlbar, urlbarInput, targets) {
+    activateLLMMode(urlbar, urlbarInput, targets[0].providerKey, { restoreLive: false });
+    conversationHistory = [];
+    compareSession = {
+      columns: targets.map(({ providerKey, model }) => {
+        const provider = { ...CONFIG.providers[providerKey] };
+        if (model) {
+          provider.model = model;
+        }
+        return { providerKey, provider, history: [] };
+      })
+    };
+    urlbar.setAttribute("llm-compare", "true");
+
+    const labelBox = document.getElementById("urlbar-label-box");
+    if (labelBox) {
+      labelBox.textContent = compareSession.columns.map((c) => c.provider.name).join(" vs ");
+      labelBox.title = compareSession.columns.map((c) => c.provider.model).join(" vs ");
+    }
+    urlbarInput.value = "";
+    currentQuery = "";
+    urlbarInput.setAttribute("placeholder", "Ask both...");
+    log("Activated compare mode:", compareSession.columns.map((c) => `${c.providerKey}:${c.provider.model}`).join(" vs "));
+  }
+
+  /** One assistant row split into a column per compare side; returns the per-column rows and content divs. */
+  function createCompareRow(columns) {
+    if (!conversationContainer || !conversationContainer.parentNode) {
+      conversationContainer = createConversationContainer();
+    }
+    if (!conversationContainer) {
+      logError("Failed to create conversation container for compare row");
+      return null;
+    }
+    const row = document.createElement("div");
+    row.className = "llm-compare-row";
+    const cells = columns.map((column) => {
+      const messageDiv = document.createElement("div");
+      messageDiv.className = "llm-message llm-message-assistant llm-compare-column";
+      messageDiv.setAttribute("llm-provider", column.providerKey);
+
+      const header = document.createElement("div");
+      header.className = "llm-compare-header";
+      header.textContent = column.provider.name;
+
+      const contentDiv = document.createElement("div");
+      contentDiv.className = "llm-message-content";
+      contentDiv.textContent = "Thinking...";
+      attachAssistantLinkHandlers(contentDiv);
+
+      messageDiv.appendChild(header);
+      messageDiv.appendChild(contentDiv);
+      row.appendChild(messageDiv);
+      return { row: messageDiv, title: contentDiv };
+    });
+    conversationContainer.appendChild(row);
+    return { row, cells };
+  }
+
+  /**
+   * Send `query` to every compare column at once, each on its own stream. Compare turns skip
+   * web search and context compression so both sides answer exactly the same prompt.
+   */
+  async function sendCompareTurn(
+    urlbar,
+    query,
+    {
+      generationOverride = null,
+      contextMentions = null,
+      contextTabs = null,
+      initialContext = [],
+      userMessageDiv = null
+    } = {}
+  ) {
+    const session = compareSession;
+    if (!session) {
+      return;
+    }
+    for (const column of session.columns) {
+      if (!ensureProviderApiKey(column.providerKey, column.provider)) {
+        displayConversationNote(`No API key for ${column.provider.name}`);
+        return;
+      }
+    }
+    const compareRow = createCompareRow(session.columns);
+    if (!compareRow) {
+      return;
+    }
+
+    // A new turn supersedes both columns of the previous one
+    interruptLlmStream({ persistPartial: true });
+    urlbar.setAttribute("is-llm-thinking", "true");
+
+    // Read mentioned context once; both sides get the same copy
+    let context = [...initialContext];
+    if (contextMentions?.size) {
+      compareRow.cells.forEach((cell) => {
+        cell.title.textContent = describeContextReading(contextMentions);
+      });
+      context = [...context, ...(await resolveContextMentions(contextMentions, { tabs: contextTabs || [] }))];
+      renderUserMessageContext(userMessageDiv, context);
+    }
+    if (compareSession !== session) {
+      return;
+    }
+
+    await Promise.all(
+      session.columns.map((column, i) => {
+        const userEntry = { role: "user", content: query };
+        if (context.length) {
+          userEntry.context = context;
+        }
+        column.history.push(userEntry);
+        const stream = beginLlmStream({
+          alongside: true,
+          persistPartial: (buffer) => commitPartialAssistantToHistory(buffer, column.history, column.provider.model)
+        });
+        return streamCompareColumn(column, compareRow.cells[i], stream, generationOverride);
+      })
+    );
+
+    if (compareSession === session && llmStreams.size === 0) {
+      urlbar.removeAttribute("is-llm-thinking");
+    }
+  }
+
+  async function streamCompareColumn(column, cell, stream, generationOverride = null) {
+    const requestModel = column.provider.model;
+    try {
+      const messages = buildApiMessagesFromHistory(column.history, null, column.provider);
+      await streamResponse(
+        messages,
+        cell.title,
+        stream,
+        column.provider,
+        resolveGenerationParams(column.provider, generationOverride)
+      );
+      const entry = { role: "assistant", content: stream.buffer, model: requestModel };
+      if (generationOverride) {
+        entry.params = generationOverride;
+      }
+      if (stream.reasoning.trim()) {
+        entry.reasoning = stream.reasoning.trim();
+      }
+      if (stream.usage) {
+        entry.usage = stream.usage;
+      }
+      const tabSources = getContextCitationSources(column.history[column.history.length - 1]?.context);
+      if (tabSources.length) {
+        entry.sources = tabSources;
+        cell.row.dataset.citationSources = JSON.stringify(tabSources);
+        // Same timing as sendToLLM: after the final debounced markdown pass
+        const injectTabCitations = () => injectFaviconsIntoCitationMarkers(cell.row, tabSources);
+        requestAnimationFrame(() => requestAnimationFrame(injectTabCitations));
+        setTimeout(injectTabCitations, LIMITS.RENDER_DEBOUNCE + 80);
+      }
+      column.history.push(entry);
+      renderAssistantMeta(cell.row, entry);
+    } catch (error) {
+      if (error.name === "AbortError") {
+        if (isLlmStreamLive(stream.generation)) {
+          stream.persistPartial(stream.buffer);
+          cell.title.textContent = "Request cancelled";
+        }
+      } else {
+        logError(`Compare request error (${column.providerKey}):`, error);
+        cell.title.textContent = describeLlmRequestError(error, getImageContext(column.history.at(-1)));
+      }
+    } finally {
+      endLlmStream(stream.generation);
+    }
   }
 
   // Initialize when DOM is ready (only once)